@@ -6,6 +6,7 @@ require("dotenv").config();
 const { connectMongo } = require("../src/db");
 const { Lock } = require("../src/models/Lock");
 const { summaryStats } = require("../src/models/JobLog");
+const { listSchedulerStats } = require("../src/models/SchedulerStat");
 
 function parseArgs() {
   const args = process.argv.slice(2);
@@ -21,20 +22,36 @@ function parseArgs() {
 }
 
 async function once() {
-  const [count, locks, jobStats] = await Promise.all([
+  const [count, locks, jobStats, schedulers] = await Promise.all([
     Lock.countDocuments({}),
     Lock.find({}).sort({ expiresAt: 1 }).limit(20).lean(),
     summaryStats(),
+    listSchedulerStats(),
   ]);
 
   const now = new Date().toISOString();
   console.log(`\n[${now}] Stats:`);
   console.log(`- Active locks: ${count}`);
   console.log(`- Jobs: ${jobStats.totalJobs}`);
+  console.log(`- Cancelled jobs: ${jobStats.cancelled}`);
   console.log(`- Images processed: ${jobStats.totalImages}`);
   console.log(`- Total data: ${(jobStats.totalBytes / 1e6).toFixed(2)} MB`);
   console.log(`- Avg processing time: ${Math.round(jobStats.avgMs)} ms`);
 
+  if (schedulers.length) {
+    console.log("- Bot queues:");
+    for (const s of schedulers) {
+      const pool = s.pool || {};
+      console.log(
+        `  ${s._id} running=${s.running}/${s.maxConcurrency} queued=${s.queued} users=${s.users}` +
+          ` wait avg=${s.avgWaitMs}ms oldest=${s.oldestWaitMs}ms` +
+          ` workers=${pool.busy}/${pool.workers} tasks queued=${pool.queued}`
+      );
+    }
+  } else {
+    console.log("- Bot queues: (no bot reporting)");
+  }
+
   if (locks.length) {
     console.log("- Locks (up to 20):");
     for (const d of locks) {
@@ -0,0 +1,245 @@
+const sharp = require("sharp");
+const fs = require("fs/promises");
+const path = require("path");
+
+// Background specs for the padding area (rendered into a full Cw×Ch canvas):
+//   { type: "solid", color }
+//   { type: "gradient", kind: "linear" | "radial", from, to, angle }
+//   { type: "pattern", pattern, color, background, size }
+//   { type: "image", fileId | uploadId+filename | buffer }   (cover-fit texture)
+const BACKGROUND_TYPES = ["solid", "gradient", "pattern", "image"];
+const GRADIENT_KINDS = ["linear", "radial"];
+const PATTERNS = ["stripes", "dots", "checker", "grid"];
+
+const HEX_RE = /^#([0-9a-fA-F]{3}){1,2}$/;
+
+function isHex(s) {
+  return HEX_RE.test(String(s || ""));
+}
+
+function isBackgroundSpec(bg) {
+  return !!bg && typeof bg === "object" && BACKGROUND_TYPES.includes(bg.type);
+}
+
+/**
+ * Validate a spec object (from the API or the DB) and fill in defaults.
+ * Returns a clean spec or null.
+ */
+function normalizeBackground(obj) {
+  if (!isBackgroundSpec(obj)) return null;
+
+  switch (obj.type) {
+    case "solid":
+      return isHex(obj.color) ? { type: "solid", color: obj.color } : null;
+
+    case "gradient": {
+      const kind = obj.kind || "linear";
+      const angle = obj.angle === undefined ? 180 : Number(obj.angle);
+      if (!isHex(obj.from) || !isHex(obj.to)) return null;
+      if (!GRADIENT_KINDS.includes(kind)) return null;
+      if (!Number.isFinite(angle)) return null;
+      return { type: "gradient", kind, from: obj.from, to: obj.to, angle };
+    }
+
+    case "pattern": {
+      const size = obj.size === undefined ? 0 : Number(obj.size);
+      const color = obj.color || "#000000";
+      const background = obj.background || "#ffffff";
+      if (!PATTERNS.includes(obj.pattern)) return null;
+      if (!isHex(color) || !isHex(background)) return null;
+      if (!Number.isFinite(size) || size < 0 || size > 1000) return null;
+      return { type: "pattern", pattern: obj.pattern, color, background, size };
+    }
+
+    case "image": {
+      // Only references are kept; the pixels are loaded right before rendering
+      const { fileId, uploadId, filename, buffer } = obj;
+      if (fileId) return { type: "image", fileId: String(fileId) };
+      if (uploadId && filename) {
+        return {
+          type: "image",
+          uploadId: String(uploadId),
+          filename: String(filename),
+        };
+      }
+      if (Buffer.isBuffer(buffer)) return { type: "image", buffer };
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse the text form used by the bot (and accepted by the API):
+ *   gradient #ff0000 #0000ff [linear|radial] [angle]
+ *   pattern <stripes|dots|checker|grid> [#fg] [#bg] [size]
+ * Returns a spec or null.
+ */
+function parseBackground(input) {
+  const parts = Array.isArray(input)
+    ? input
+    : String(input || "")
+        .trim()
+        .split(/\s+/);
+  const [type, ...args] = parts.map((p) => String(p).toLowerCase());
+
+  if (type === "gradient") {
+    const [from, to, third, fourth] = args;
+    const kind = GRADIENT_KINDS.includes(third) ? third : "linear";
+    const angle = GRADIENT_KINDS.includes(third) ? fourth : third;
+    return normalizeBackground({ type, from, to, kind, angle });
+  }
+
+  if (type === "pattern") {
+    const [pattern, color, background, size] = args;
+    return normalizeBackground({ type, pattern, color, background, size });
+  }
+
+  return null;
+}
+
+function describeBackground(bg) {
+  switch (bg.type) {
+    case "solid":
+      return bg.color;
+    case "gradient":
+      return `${bg.kind} gradient ${bg.from}→${bg.to}`;
+    case "pattern":
+      return `${bg.pattern} pattern ${bg.color}/${bg.background}`;
+    case "image":
+      return "image";
+    default:
+      return bg.type;
+  }
+}
+
+function gradientSvg(bg, w, h) {
+  let def;
+  if (bg.kind === "radial") {
+    def = `<radialGradient id="g" cx="50%" cy="50%" r="75%">`;
+  } else {
+    // CSS-like angle: 0 = to top, 90 = to right, 180 = to bottom
+    const rad = ((bg.angle - 90) * Math.PI) / 180;
+    const dx = Math.cos(rad) / 2,
+      dy = Math.sin(rad) / 2;
+    def =
+      `<linearGradient id="g" x1="${0.5 - dx}" y1="${0.5 - dy}"` +
+      ` x2="${0.5 + dx}" y2="${0.5 + dy}">`;
+  }
+  const close =
+    bg.kind === "radial" ? "</radialGradient>" : "</linearGradient>";
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">` +
+    `<defs>${def}<stop offset="0" stop-color="${bg.from}"/>` +
+    `<stop offset="1" stop-color="${bg.to}"/>${close}</defs>` +
+    `<rect width="100%" height="100%" fill="url(#g)"/></svg>`
+  );
+}
+
+function patternSvg(bg, w, h) {
+  // Default tile scales with the canvas so the pattern reads on any size
+  const s = bg.size || Math.max(8, Math.round(Math.min(w, h) / 40));
+  const half = s / 2;
+  const fill = `fill="${bg.color}"`;
+  let tile;
+  let transform = "";
+  switch (bg.pattern) {
+    case "stripes":
+      tile = `<rect width="${half}" height="${s}" ${fill}/>`;
+      transform = ` patternTransform="rotate(45)"`;
+      break;
+    case "dots":
+      tile = `<circle cx="${half}" cy="${half}" r="${s / 4}" ${fill}/>`;
+      break;
+    case "checker":
+      tile =
+        `<rect width="${half}" height="${half}" ${fill}/>` +
+        `<rect x="${half}" y="${half}" width="${half}" height="${half}" ${fill}/>`;
+      break;
+    case "grid":
+    default:
+      tile =
+        `<path d="M ${s} 0 L 0 0 0 ${s}" fill="none"` +
+        ` stroke="${bg.color}" stroke-width="${Math.max(1, s / 16)}"/>`;
+      break;
+  }
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">` +
+    `<defs><pattern id="p" width="${s}" height="${s}"` +
+    ` patternUnits="userSpaceOnUse"${transform}>` +
+    `${tile}</pattern></defs>` +
+    `<rect width="100%" height="100%" fill="${bg.background}"/>` +
+    `<rect width="100%" height="100%" fill="url(#p)"/></svg>`
+  );
+}
+
+/**
+ * Load the pixels of a web-uploaded texture
+ * ({ type: "image", uploadId, filename } from a finished chunked upload).
+ * Returns the buffer, or null if the reference is invalid or missing.
+ */
+async function loadUploadedBackground(bg, uploadDir) {
+  const { uploadId, filename } = bg;
+  if (!/^[a-f0-9]{32}$/.test(uploadId || "")) return null;
+  if (!/^[a-zA-Z0-9_\-\.\s]+$/.test(filename || "")) return null;
+  if (filename.includes("..")) return null;
+
+  const bgPath = path.join(uploadDir, `${uploadId}_${filename}`);
+  if (!path.resolve(bgPath).startsWith(path.resolve(uploadDir))) return null;
+  try {
+    return await fs.readFile(bgPath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render a background spec into a w×h PNG buffer.
+ * Image backgrounds need bg.buffer (resolve fileId/uploadId before calling).
+ */
+async function renderBackground(bg, w, h) {
+  switch (bg.type) {
+    case "solid":
+      // 4 channels, so "#RRGGBBAA" / "transparent" keep their alpha
+      return sharp({
+        create: { width: w, height: h, channels: 4, background: bg.color },
+      })
+        .png()
+        .toBuffer();
+
+    case "gradient":
+      return sharp(Buffer.from(gradientSvg(bg, w, h)))
+        .png()
+        .toBuffer();
+
+    case "pattern":
+      return sharp(Buffer.from(patternSvg(bg, w, h)))
+        .png()
+        .toBuffer();
+
+    case "image":
+      if (!bg.buffer) throw new Error("Background image not loaded");
+      return sharp(bg.buffer, { failOn: "none" })
+        .rotate()
+        .resize(w, h, { fit: "cover" })
+        .png()
+        .toBuffer();
+
+    default:
+      throw new Error(`Unknown background type: ${bg.type}`);
+  }
+}
+
+module.exports = {
+  BACKGROUND_TYPES,
+  GRADIENT_KINDS,
+  PATTERNS,
+  isBackgroundSpec,
+  normalizeBackground,
+  parseBackground,
+  describeBackground,
+  loadUploadedBackground,
+  renderBackground,
+};
@@ -1,69 +1,257 @@
 const { Telegraf } = require("telegraf");
-const sharp = require("sharp");
 const {
   BOT_TOKEN,
   ALBUM_AGGREGATE_MS,
   TELEGRAM_API_BASE,
+  KEEP_BYTES_APPROX,
+  MONGO_URI,
 } = require("./config");
 const { log, genTraceId } = require("./logger");
 const {
+  PRESETS,
+  PLATFORM_PRESETS,
   parseRatio,
   parseColor,
+  parseBlur,
+  parseFormat,
+  parseAlign,
+  parseMargin,
+  parseMetadataPolicy,
+  parsePolaroid,
+  parseTrim,
+  describeTrim,
+  describeColor,
+  parseOverrides,
   humanSettings,
   getUserState,
   setUserRatio,
   setUserColor,
+  setUserBackground,
+  setUserFormat,
+  setUserAlign,
+  setUserMargin,
+  setUserMetadata,
+  setUserWatermark,
+  setUserPolaroid,
+  setUserFrame,
+  setUserTrim,
+  setUserPrint,
+  MAX_PRESETS,
+  parsePresetName,
+  saveUserPreset,
+  useUserPreset,
+  listUserPresets,
+  deleteUserPreset,
+  importUserPreset,
 } = require("./state");
 const { acquireLock, releaseLock } = require("./models/Lock");
-const { downloadFileBuffer, noCropBuffer, mapFormatToExt } = require("./image");
+const {
+  OUTPUT_FORMATS,
+  isAllowedFormat,
+  INPUT_FORMAT_NAMES,
+  HEIC_DECODER,
+  isHeicBuffer,
+  isAutoColor,
+  probeInputFormat,
+  pickAutoRatio,
+  downloadFileBuffer,
+  mapFormatToExt,
+  MIN_CAROUSEL,
+  MAX_CAROUSEL,
+  DEFAULT_TRIM_THRESHOLD,
+  MAX_TRIM_THRESHOLD,
+} = require("./image");
 const { addJobLog } = require("./models/JobLog");
+const {
+  enqueueJob,
+  userQueueStatus,
+  cancelUserJobs,
+  startStatsReporter,
+} = require("./scheduler");
+const { runTask } = require("./pool");
+const {
+  sourceKey,
+  saveOutputSources,
+  findOutputSource,
+} = require("./models/OutputSource");
+const { parseBackground, PATTERNS } = require("./background");
+const { parseFrame, describeFrame } = require("./frame");
+const { METADATA_POLICIES } = require("./metadata");
+const { MENUS, settingsKeyboard, parseMenuData } = require("./menu");
+const {
+  COMPARE_MODES,
+  DEFAULT_LABELS,
+  parseCompareMode,
+} = require("./compare");
+const {
+  MIN_DPI,
+  MAX_DPI,
+  MAX_BLEED_MM,
+  MAX_PRINT_SIDE,
+  PAPER_SIZES,
+  parsePrint,
+  describePrint,
+  fitsPrint,
+} = require("./print");
+const {
+  WATERMARK_POSITIONS,
+  normalizeWatermark,
+  parseWatermarkArgs,
+  hasWatermark,
+  describeWatermark,
+} = require("./watermark");
 
-const ALLOWED_MIME = new Set(["image/jpeg", "image/jpg", "image/png"]);
-const ALLOWED_FMT = new Set(["jpeg", "jpg", "png"]);
+const FORMAT_LIST = `${INPUT_FORMAT_NAMES.slice(0, -1).join(", ")} or ${INPUT_FORMAT_NAMES.at(-1)}`;
+const UNSUPPORTED_MSG = `Unsupported image format. Please send ${FORMAT_LIST}.`;
+const HEIC_MSG = `HEIC photos can't be decoded on this server. Please send ${FORMAT_LIST} (iPhone: Settings › Camera › Formats › Most Compatible).`;
+
+// Reply for an input sharp can't decode; HEIC gets its own explanation
+function unsupportedMsg(buf) {
+  return !HEIC_DECODER && isHeicBuffer(buf) ? HEIC_MSG : UNSUPPORTED_MSG;
+}
 
 const bot = new Telegraf(BOT_TOKEN, {
   telegram: { apiRoot: TELEGRAM_API_BASE },
 });
 
-// ---------------- Queue per user ----------------
-const userQueues = new Map(); // userId -> [async job()]
-const userRunning = new Set(); // userIds currently running
-
-function enqueueJob(userId, job) {
-  const id = String(userId);
-  const q = userQueues.get(id) || [];
-  q.push(job);
-  userQueues.set(id, q);
-  if (!userRunning.has(id)) runQueue(id);
-  return q.length; // position
+// ---------------- Queue ----------------
+// Jobs go through the global scheduler (scheduler.js); sharp work runs on
+// the worker pool (pool.js)
+startStatsReporter();
+
+// "~45s", "~3 min"
+function describeEta(ms) {
+  const sec = Math.max(1, Math.round(ms / 1000));
+  return sec < 90 ? `~${sec}s` : `~${Math.round(sec / 60)} min`;
 }
 
-async function runQueue(userId) {
-  const id = String(userId);
-  if (userRunning.has(id)) return;
-  userRunning.add(id);
-  try {
-    while ((userQueues.get(id) || []).length > 0) {
-      const q = userQueues.get(id);
-      const job = q.shift();
-      try {
-        await job();
-      } catch (e) {
-        log("error", "job failed", {
-          userId: id,
-          err: String(e?.message || e),
-        });
-      }
+function describeJob(job) {
+  const items = job.count > 1 ? ` (${job.count} images)` : "";
+  return `${job.type}${items}`;
+}
+
+// ---------------- Helpers ----------------
+// Background textures and watermark logos are reused across images/albums:
+// keep a few in memory
+const assetCache = new Map(); // fileId -> Buffer
+const ASSET_CACHE_MAX = 20;
+
+async function cachedFileBuffer(ctx, fileId) {
+  let buffer = assetCache.get(fileId);
+  if (!buffer) {
+    buffer = await downloadFileBuffer(ctx, fileId);
+    if (assetCache.size >= ASSET_CACHE_MAX) {
+      assetCache.delete(assetCache.keys().next().value);
     }
-  } finally {
-    userRunning.delete(id);
-    userQueues.delete(id);
+    assetCache.set(fileId, buffer);
   }
+  return buffer;
+}
+
+/**
+ * What to pass to noCropBuffer as the border: the user's background spec
+ * (with image textures downloaded) or their plain color.
+ */
+async function resolveBorder(ctx, st) {
+  const bg = st.background;
+  if (!bg) return st.color;
+  if (bg.type !== "image") return bg;
+  return { ...bg, buffer: await cachedFileBuffer(ctx, bg.fileId) };
+}
+
+// The user's watermark with its logo downloaded, or null when off
+async function resolveWatermark(ctx, st) {
+  const wm = st.watermark;
+  if (!hasWatermark(wm)) return null;
+  if (!wm.logo) return wm;
+  const buffer = await cachedFileBuffer(ctx, wm.logo.fileId);
+  return { ...wm, logo: { ...wm.logo, buffer } };
+}
+
+// file_id of the largest photo or image document in a message, or null
+function repliedImageFileId(msg) {
+  const photos = msg.photo || [];
+  const doc = msg.document;
+  if (photos.length) return photos[photos.length - 1].file_id;
+  if (doc && /^image\//i.test(doc.mime_type || "")) return doc.file_id;
+  return null;
+}
+
+// Input behind each result message, so replying to a result can re-process
+// the original (/redo, /ratio). Recent ones stay in memory; with Mongo they
+// also survive restarts for SOURCE_TTL_DAYS.
+const sourceCache = new Map(); // "<chatId>:<messageId>" -> { fileId, fileName, caption }
+const SOURCE_CACHE_MAX = 500;
+
+async function rememberOutputSource(ctx, sent, source) {
+  if (!source) return;
+  const ids = [].concat(sent).map((m) => m.message_id);
+  const data = { userId: String(ctx.from.id), ...source };
+  for (const id of ids) {
+    if (sourceCache.size >= SOURCE_CACHE_MAX) {
+      sourceCache.delete(sourceCache.keys().next().value);
+    }
+    sourceCache.set(sourceKey(ctx.chat.id, id), data);
+  }
+  if (!MONGO_URI) return;
+  try {
+    await saveOutputSources(ctx.chat.id, ids, data);
+  } catch (err) {
+    log("warn", "output source not saved", { error: err.message });
+  }
+}
+
+// Input recorded behind one of our result messages, or null
+async function lookupOutputSource(ctx, replied) {
+  const key = sourceKey(ctx.chat.id, replied.message_id);
+  let found = sourceCache.get(key);
+  if (!found && MONGO_URI) {
+    found = await findOutputSource(ctx.chat.id, replied.message_id);
+  }
+  if (!found) return null;
+  return {
+    fileId: found.fileId,
+    fileName: found.fileName,
+    caption: found.caption || "",
+  };
+}
+
+/**
+ * The input to re-process for a replied-to message: the original behind one
+ * of our results, or the replied photo itself. Returns
+ * { fileId, fileName, caption }, or null (also for results we no longer know).
+ */
+async function findReplySource(ctx, replied) {
+  const found = await lookupOutputSource(ctx, replied);
+  if (found) return found;
+
+  // Our own results are already padded; padding them again would stack borders
+  if (replied.from && replied.from.id === ctx.botInfo.id) return null;
+  const fileId = repliedImageFileId(replied);
+  if (!fileId) return null;
+  return {
+    fileId,
+    fileName: (replied.document && replied.document.file_name) || "photo",
+    caption: replied.caption || "",
+  };
+}
+
+// "top 12, right 0, bottom 12, left 0 px" for a noCropBuffer `trimmed`
+function describeTrimmed(t) {
+  return `top ${t.top}, right ${t.right}, bottom ${t.bottom}, left ${t.left} px`;
+}
+
+// Caption line explaining why a transparent border came back as PNG
+function alphaNotice(switchedFrom) {
+  if (!switchedFrom) return "";
+  return `\n${switchedFrom.toUpperCase()} can't store transparency, so this is a PNG.`;
 }
 
-// ---------------- Helpers ----------------
 /**
  * Process one image buffer and reply as document.
+ * caption: the Telegram caption sent with the image (used in polaroid mode).
+ * source: { fileId, fileName, caption } of the input, remembered for the
+ * result messages so a reply to them can re-process it.
  * Returns { bytes, ms } for JobLog aggregation.
  */
 async function processAndReplyImage(
@@ -73,7 +261,9 @@ async function processAndReplyImage(
   inputFmtHint,
   st,
   traceId,
-  jobType = "photo"
+  jobType = "photo",
+  caption = "",
+  source = null
 ) {
   const t0 = Date.now();
 
@@ -82,63 +272,137 @@ async function processAndReplyImage(
   if (inFmt === "jpg") inFmt = "jpeg";
 
   // block unsupported just in case
-  if (inFmt && !ALLOWED_FMT.has(inFmt)) {
-    await ctx.reply("Unsupported image format. Please send JPEG or PNG.");
+  if (inFmt && !isAllowedFormat(inFmt)) {
+    await ctx.reply(unsupportedMsg(buf));
     return { bytes: 0, ms: 0 };
   }
 
-  const {
-    buffer: out,
-    format: fmt,
-    width,
-    height,
-  } = await noCropBuffer(buf, st.ratio, st.color, inFmt || undefined);
+  const border = await resolveBorder(ctx, st);
+  const watermark = await resolveWatermark(ctx, st);
 
-  const ext = mapFormatToExt(fmt);
-  const filename =
-    (fileNameHint ? fileNameHint.replace(/\.[^.]+$/, "") : "image") +
-    `_no_crop_${st.ratio.key.replace(":", "x")}.${ext}`;
+  // A ratio list pads the image to each ratio (decoded once), sent as an album
+  const ratios = st.ratio.ratios || [st.ratio];
+  const results = await runTask(
+    "multiRatioBuffers",
+    buf,
+    ratios,
+    border,
+    inFmt || undefined,
+    {
+      format: st.format,
+      blur: st.blur,
+      align: st.align,
+      margin: st.margin,
+      metadata: st.metadata,
+      watermark,
+      polaroid:
+        st.polaroid !== "off" ? { caption, align: st.polaroid } : undefined,
+      frame: st.frame,
+      trim: st.trim,
+      print: st.print,
+      keepBytes: KEEP_BYTES_APPROX,
+    }
+  );
 
-  log("info", "sending file", {
-    traceId,
-    filename,
-    inputSize: buf.length,
-    outputSize: out.length,
-    ratio: st.ratio.key,
-    format: fmt,
-    width,
-    height,
+  const base = fileNameHint ? fileNameHint.replace(/\.[^.]+$/, "") : "image";
+  const docs = results.map((res) => {
+    const {
+      buffer: out,
+      format: fmt,
+      width,
+      height,
+      pages,
+      ratio: usedRatio,
+      color: usedColor,
+      quality,
+      switchedFrom,
+      trimmed,
+    } = res;
+    const filename = `${base}_no_crop_${usedRatio.replace(":", "x")}.${mapFormatToExt(fmt)}`;
+
+    log("info", "sending file", {
+      traceId,
+      filename,
+      inputSize: buf.length,
+      outputSize: out.length,
+      ratio: usedRatio,
+      color: usedColor,
+      format: fmt,
+      quality,
+      metadata: st.metadata,
+      width,
+      height,
+      pages,
+    });
+
+    // Auto modes: show which color was actually picked for this image
+    const borderLabel =
+      isAutoColor(border) && usedColor
+        ? `${st.color} ${usedColor}`
+        : describeColor(st);
+
+    // Auto ratio: show which ratio was picked for this image
+    const ratioLabel = st.ratio.auto ? `${usedRatio} (auto)` : usedRatio;
+    const frames = pages > 1 ? ` | ${pages} frames` : "";
+    const docCaption =
+      `${ratioLabel} | ${borderLabel} | ${fmt}${frames}` +
+      (trimmed ? `\nTrimmed: ${describeTrimmed(trimmed)}` : "") +
+      (st.print ? `\nPrint: ${describePrint(st.print)}` : "") +
+      alphaNotice(switchedFrom);
+    return { source: out, filename, caption: docCaption };
   });
 
-  await ctx.replyWithDocument(
-    { source: out, filename },
-    { caption: `${st.ratio.key} | ${st.color}` }
-  );
+  let sent;
+  if (docs.length === 1) {
+    const [{ source: out, filename, caption: docCaption }] = docs;
+    sent = await ctx.replyWithDocument(
+      { source: out, filename },
+      { caption: docCaption }
+    );
+  } else {
+    sent = await ctx.replyWithMediaGroup(
+      docs.map(({ source, filename, caption: docCaption }) => ({
+        type: "document",
+        media: { source, filename },
+        caption: docCaption,
+      }))
+    );
+  }
+  await rememberOutputSource(ctx, sent, source);
 
+  const bytes = results.reduce((sum, r) => sum + r.buffer.length, 0);
   const ms = Date.now() - t0;
   log("info", "sent document", {
     traceId,
     jobType,
-    fmt,
-    width,
-    height,
-    bytes: out.length,
-    filename,
+    fmt: results[0].format,
+    width: results[0].width,
+    height: results[0].height,
+    bytes,
+    filename: docs.map((d) => d.filename).join(", "),
     ms,
   });
 
-  return { bytes: out.length, ms };
+  return { bytes, ms };
 }
 
+/**
+ * redo: { overrides, caption } to re-process an earlier input with one-off
+ * settings (see parseOverrides) instead of the message's own image.
+ */
 async function makeSinglePhotoJob(
   ctx,
   fileId,
   fileNameHint,
   traceId,
-  jobType = "photo"
+  jobType = "photo",
+  redo = null
 ) {
   const userId = String(ctx.from.id);
-  const st = await getUserState(userId);
+  const st = redo
+    ? { ...(await getUserState(userId)), ...redo.overrides }
+    : await getUserState(userId);
+  const caption = redo ? redo.caption : ctx.message.caption;
 
   return async () => {
     const tJob = Date.now();
@@ -162,13 +426,11 @@ async function makeSinglePhotoJob(
     try {
       await ctx.replyWithChatAction("upload_document");
       const buf = await downloadFileBuffer(ctx, fileId);
-      const meta = await sharp(buf, { failOn: "none" }).metadata();
-      let fmt = meta && meta.format ? meta.format.toLowerCase() : "jpeg";
-      if (fmt === "jpg") fmt = "jpeg";
+      const fmt = await probeInputFormat(buf);
 
-      // Guard: only jpeg/png
-      if (!ALLOWED_FMT.has(fmt)) {
-        await ctx.reply("Unsupported image format. Please send JPEG or PNG.");
+      // Guard: only what sharp can decode
+      if (!fmt) {
+        await ctx.reply(unsupportedMsg(buf));
       } else {
         const res = await processAndReplyImage(
           ctx,
@@ -177,15 +439,21 @@ async function makeSinglePhotoJob(
           fmt,
           st,
           traceId,
-          jobType
+          jobType,
+          caption,
+          { fileId, fileName: fileNameHint, caption }
         );
         bytes += res.bytes;
         ms += res.ms;
       }
     } catch (err) {
       console.error(err);
-      log("error", "processing photo", { traceId, userId, error: err.message });
-      await ctx.reply("Processing error (photo).");
+      log("error", `processing ${jobType}`, {
+        traceId,
+        userId,
+        error: err.message,
+      });
+      await ctx.reply(`Processing error (${jobType}).`);
     } finally {
       await releaseLock(userId);
       try {
@@ -204,11 +472,32 @@ async function makeSinglePhotoJob(
   };
 }
 
+// Queue a one-off re-run of the input behind the replied-to message
+async function enqueueRedo(ctx, overrides, source) {
+  source = source || (await findReplySource(ctx, ctx.message.reply_to_message));
+  if (!source) {
+    return ctx.reply(
+      "I don't have the original of that message (any more) — send the photo again."
+    );
+  }
+  const userId = String(ctx.from.id);
+  const traceId = genTraceId();
+  const job = await makeSinglePhotoJob(
+    ctx,
+    source.fileId,
+    source.fileName,
+    traceId,
+    "redo",
+    { overrides, caption: source.caption }
+  );
+  enqueueJob(userId, job, { traceId, type: "redo" });
+}
+
 async function makeAlbumJob(ctx, items, traceId) {
   const userId = String(ctx.from.id);
   const st = await getUserState(userId);
 
-  return async () => {
+  return async (job) => {
     const tJob = Date.now();
     const locked = await acquireLock(userId, traceId);
     if (!locked) {
@@ -226,20 +515,40 @@ async function makeAlbumJob(ctx, items, traceId) {
 
     let bytesTotal = 0;
     let msTotal = 0;
+    let done = 0;
 
     try {
-      for (let i = 0; i < items.length; i++) {
+      // Uniform auto ratio: one ratio for the whole album, picked from the
+      // sizes of all images (which have to be downloaded up front for that),
+      // trimmed and framed the way noCropBuffer will pad them
+      const bufs = [];
+      let albumSt = st;
+      if (st.ratio.auto && st.ratio.uniform) {
+        const sizes = [];
+        for (const item of items) {
+          if (job.cancelled) break;
+          const buf = await downloadFileBuffer(ctx, item.fileId);
+          const size = await runTask("probeImageSize", buf, {
+            trim: st.trim,
+            margin: st.margin,
+            polaroid: st.polaroid !== "off",
+          });
+          bufs.push(buf);
+          if (size) sizes.push(size);
+        }
+        const picked = pickAutoRatio(st.ratio, sizes);
+        albumSt = { ...st, ratio: { ...st.ratio, candidates: [picked] } };
+      }
+
+      for (let i = 0; i < items.length && !job.cancelled; i++) {
         const item = items[i];
-        const buf = await downloadFileBuffer(ctx, item.fileId);
-        const meta = await sharp(buf, { failOn: "none" }).metadata();
-        let fmt = meta && meta.format ? meta.format.toLowerCase() : "jpeg";
-        if (fmt === "jpg") fmt = "jpeg";
+        const buf = bufs[i] || (await downloadFileBuffer(ctx, item.fileId));
+        const fmt = await probeInputFormat(buf);
 
-        if (!ALLOWED_FMT.has(fmt)) {
+        if (!fmt) {
+          const heic = !HEIC_DECODER && isHeicBuffer(buf);
           await ctx.reply(
-            `Skip unsupported format in album item #${
-              i + 1
-            }. Only JPEG/PNG are supported.`
+            `Skip unsupported format${heic ? " (HEIC)" : ""} in album item #${i + 1}.`
           );
           continue;
         }
@@ -249,12 +558,20 @@ async function makeAlbumJob(ctx, items, traceId) {
           buf,
           item.fileName,
           fmt,
-          st,
+          albumSt,
           `${traceId}_${i + 1}`,
-          "photo"
+          "photo",
+          item.caption,
+          item
         );
         bytesTotal += res.bytes;
         msTotal += res.ms;
+        done++;
+      }
+      if (job.cancelled) {
+        await ctx.reply(
+          `Album cancelled after ${done} of ${items.length} images.`
+        );
       }
     } catch (err) {
       log("error", "album error", { traceId, userId, error: err.message });
@@ -269,7 +586,8 @@ async function makeAlbumJob(ctx, items, traceId) {
         _id: traceId,
         userId,
         type: "album",
-        count: items.length,
+        count: job.cancelled ? done : items.length,
+        status: job.cancelled ? "cancelled" : "done",
         bytes: bytesTotal,
         ms: Math.max(msTotal, Date.now() - tJob),
       });
@@ -277,6 +595,303 @@ async function makeAlbumJob(ctx, items, traceId) {
   };
 }
 
+/**
+ * Split one panorama into `count` tiles of `ratio` and send them back as an
+ * ordered album (documents, so Telegram doesn't recompress them).
+ */
+async function makeCarouselJob(
+  ctx,
+  fileId,
+  fileNameHint,
+  count,
+  ratio,
+  traceId
+) {
+  const userId = String(ctx.from.id);
+  const st = await getUserState(userId);
+
+  return async () => {
+    const tJob = Date.now();
+    const locked = await acquireLock(userId, traceId);
+    if (!locked) {
+      await new Promise((r) => setTimeout(r, 500));
+      const retry = await acquireLock(userId, traceId);
+      if (!retry) {
+        log("warn", "lock busy, skip carousel", { userId, traceId });
+        return;
+      }
+    }
+
+    const waitMsg = await ctx.reply(
+      `Got it — splitting your panorama into ${count} tiles…`
+    );
+
+    let bytes = 0;
+    try {
+      await ctx.replyWithChatAction("upload_document");
+      const buf = await downloadFileBuffer(ctx, fileId);
+      const fmt = await probeInputFormat(buf);
+
+      if (!fmt) {
+        await ctx.reply(unsupportedMsg(buf));
+      } else {
+        const border = await resolveBorder(ctx, st);
+        const watermark = await resolveWatermark(ctx, st);
+        const { tiles, format, switchedFrom } = await runTask(
+          "carouselBuffers",
+          buf,
+          ratio,
+          count,
+          border,
+          fmt,
+          {
+            format: st.format,
+            blur: st.blur,
+            align: st.align,
+            margin: st.margin,
+            metadata: st.metadata,
+            watermark,
+            frame: st.frame,
+            trim: st.trim,
+          }
+        );
+
+        const base = (fileNameHint || "image").replace(/\.[^.]+$/, "");
+        const ext = mapFormatToExt(format);
+        const media = tiles.map((t, i) => ({
+          type: "document",
+          media: {
+            source: t.buffer,
+            filename: `${base}_carousel_${i + 1}of${count}.${ext}`,
+          },
+          // Documents in an album each show their own caption: label the last
+          ...(i === tiles.length - 1
+            ? {
+                caption:
+                  `${count} × ${ratio.key} carousel | ${format}` +
+                  alphaNotice(switchedFrom),
+              }
+            : {}),
+        }));
+        await ctx.replyWithMediaGroup(media);
+
+        bytes = tiles.reduce((sum, t) => sum + t.buffer.length, 0);
+        log("info", "sent carousel", {
+          traceId,
+          count,
+          ratio: ratio.key,
+          format,
+          width: tiles[0].width,
+          height: tiles[0].height,
+          bytes,
+        });
+      }
+    } catch (err) {
+      log("error", "carousel error", { traceId, userId, error: err.message });
+      await ctx.reply("Processing error (carousel).");
+    } finally {
+      await releaseLock(userId);
+      try {
+        await ctx.deleteMessage(waitMsg.message_id);
+      } catch {}
+      await addJobLog({
+        _id: traceId,
+        userId,
+        type: "carousel",
+        count,
+        bytes,
+        ms: Date.now() - tJob,
+      });
+    }
+  };
+}
+
+/**
+ * Strip existing uniform borders from one image and send back only that
+ * (no new padding), with the pixels removed per side.
+ */
+async function makeUnpadJob(ctx, fileId, fileNameHint, threshold, traceId) {
+  const userId = String(ctx.from.id);
+  const st = await getUserState(userId);
+
+  return async () => {
+    const tJob = Date.now();
+    const locked = await acquireLock(userId, traceId);
+    if (!locked) {
+      await new Promise((r) => setTimeout(r, 500));
+      const retry = await acquireLock(userId, traceId);
+      if (!retry) {
+        log("warn", "lock busy, skip unpad", { userId, traceId });
+        return;
+      }
+    }
+
+    const waitMsg = await ctx.reply("Got it — looking for borders to trim…");
+
+    let bytes = 0;
+    try {
+      await ctx.replyWithChatAction("upload_document");
+      const buf = await downloadFileBuffer(ctx, fileId);
+      const fmt = await probeInputFormat(buf);
+
+      if (!fmt) {
+        await ctx.reply(unsupportedMsg(buf));
+      } else {
+        const {
+          buffer: out,
+          format,
+          width,
+          height,
+          trimmed,
+        } = await runTask("noCropBuffer", buf, null, null, fmt, {
+          format: st.format,
+          metadata: st.metadata,
+          trim: threshold,
+          keepBytes: KEEP_BYTES_APPROX,
+        });
+
+        if (!trimmed) {
+          await ctx.reply(
+            `No uniform border found at tolerance ${threshold}. Try a higher one: /unpad <1-${MAX_TRIM_THRESHOLD}>`
+          );
+        } else {
+          const base = (fileNameHint || "image").replace(/\.[^.]+$/, "");
+          const filename = `${base}_unpadded.${mapFormatToExt(format)}`;
+          await ctx.replyWithDocument(
+            { source: out, filename },
+            {
+              caption: `Trimmed: ${describeTrimmed(trimmed)} | ${width}×${height} | ${format}`,
+            }
+          );
+          bytes = out.length;
+          log("info", "sent unpadded", {
+            traceId,
+            filename,
+            trimmed,
+            width,
+            height,
+            format,
+            bytes,
+          });
+        }
+      }
+    } catch (err) {
+      log("error", "unpad error", { traceId, userId, error: err.message });
+      await ctx.reply("Processing error (unpad).");
+    } finally {
+      await releaseLock(userId);
+      try {
+        await ctx.deleteMessage(waitMsg.message_id);
+      } catch {}
+      await addJobLog({
+        _id: traceId,
+        userId,
+        type: "unpad",
+        count: 1,
+        bytes,
+        ms: Date.now() - tJob,
+      });
+    }
+  };
+}
+
+/**
+ * Pad one image with the user's settings and send back a before/after
+ * comparison of the original and the result (see compare.js). Ratio lists
+ * are compared on their first ratio.
+ */
+async function makeCompareJob(ctx, fileId, caption, mode, traceId) {
+  const userId = String(ctx.from.id);
+  const st = await getUserState(userId);
+
+  return async () => {
+    const tJob = Date.now();
+    const locked = await acquireLock(userId, traceId);
+    if (!locked) {
+      await new Promise((r) => setTimeout(r, 500));
+      const retry = await acquireLock(userId, traceId);
+      if (!retry) {
+        log("warn", "lock busy, skip compare", { userId, traceId });
+        return;
+      }
+    }
+
+    const waitMsg = await ctx.reply("Got it — building the before/after…");
+
+    let bytes = 0;
+    try {
+      await ctx.replyWithChatAction("upload_document");
+      const buf = await downloadFileBuffer(ctx, fileId);
+      const fmt = await probeInputFormat(buf);
+
+      if (!fmt) {
+        await ctx.reply(unsupportedMsg(buf));
+      } else {
+        const border = await resolveBorder(ctx, st);
+        const watermark = await resolveWatermark(ctx, st);
+        const ratio = st.ratio.ratios ? st.ratio.ratios[0] : st.ratio;
+        const padded = await runTask("noCropBuffer", buf, ratio, border, fmt, {
+          format: st.format,
+          blur: st.blur,
+          align: st.align,
+          margin: st.margin,
+          metadata: st.metadata,
+          watermark,
+          polaroid:
+            st.polaroid !== "off" ? { caption, align: st.polaroid } : undefined,
+          frame: st.frame,
+          trim: st.trim,
+          print: st.print,
+        });
+        const {
+          buffer: out,
+          width,
+          height,
+        } = await runTask("compareBuffer", buf, padded.buffer, {
+          mode,
+          labels: DEFAULT_LABELS,
+        });
+
+        const borderLabel =
+          isAutoColor(border) && padded.color
+            ? `${st.color} ${padded.color}`
+            : describeColor(st);
+        const filename = `compare_${padded.ratio.replace(":", "x")}.jpg`;
+        await ctx.replyWithDocument(
+          { source: out, filename },
+          { caption: `Before/after: ${padded.ratio} | ${borderLabel}` }
+        );
+        bytes = out.length;
+        log("info", "sent comparison", {
+          traceId,
+          filename,
+          mode,
+          ratio: padded.ratio,
+          width,
+          height,
+          bytes,
+        });
+      }
+    } catch (err) {
+      log("error", "compare error", { traceId, userId, error: err.message });
+      await ctx.reply("Processing error (compare).");
+    } finally {
+      await releaseLock(userId);
+      try {
+        await ctx.deleteMessage(waitMsg.message_id);
+      } catch {}
+      await addJobLog({
+        _id: traceId,
+        userId,
+        type: "compare",
+        count: 1,
+        bytes,
+        ms: Date.now() - tJob,
+      });
+    }
+  };
+}
+
 // ---------------- Commands ----------------
 bot.start(async (ctx) => {
   const st = await getUserState(ctx.from.id);
@@ -286,8 +901,24 @@ Send me an image (photo or document). I’ll add borders to match your ratio wit
 
 Commands:
 /ratio 4:5
-/color #000000
-/settings
+/color #000000 (or blur, auto)
+/bg gradient #ff0000 #0000ff
+/align center
+/margin 5%
+/format webp
+/metadata strip
+/watermark @yourhandle
+/polaroid on
+/frame rounded 24 shadow
+/carousel 3 (reply to a panorama)
+/trim on
+/unpad (reply to an image)
+/print 10x15cm 300dpi
+/compare (reply to a photo)
+/redo white (reply to a result)
+/queue, /cancel
+/preset save feed
+/settings (buttons to change ratio, border and output)
 /help
 
 Current:
@@ -299,41 +930,604 @@ bot.help(async (ctx) => {
   await ctx.reply(
     `Usage:
 • Send an image — I'll return a no-crop version as a file.
-• /ratio <w:h> or original
+• /ratio <w:h>, 1.91:1, original or a size like 1080x1350
+• /ratio instagram-portrait, instagram-story, x-post… (exact platform size)
+• /ratio 1:1,4:5,9:16 — one file per ratio for every photo (up to 5)
+• /ratio auto[:4:5,1:1,16:9] [uniform] — pick the ratio needing the least border per photo; uniform = one ratio per album
 • /color <#RRGGBB|black|white>
-• /settings
+• /color transparent, #RRGGBBAA or rgba(r,g,b,a) — see-through border (PNG/WebP/AVIF; JPEG output becomes PNG)
+• /color blur [1-100] — pad with a blurred copy of the photo
+• /color auto[:edge|dominant|average] — pick the color from each photo
+• /bg gradient <#from> <#to> [linear|radial] [angle]
+• /bg pattern <stripes|dots|checker|grid> [#fg] [#bg] [size]
+• /bg — reply to a photo to use it as background texture; /bg off to reset
+• /align <center|top|bottom|left|right|top-left|…> or x,y (e.g. 0.5,0.2)
+• /margin <5%|40px|0> — minimum border on every side
+• /format <original|jpeg|png|webp|avif>
+• /metadata <keep|keep-no-gps|strip> — EXIF/ICC in the output (send as file to keep EXIF); until set, unchanged files come back as sent and the rest stripped
+• /watermark <text> — handle/signature in the border; reply to an image to use it as logo
+• /watermark size|opacity|color|position <value>, /watermark logo off, /watermark off
+• /polaroid <on|off|left|center|right> — thick bottom band with the photo's caption
+• /frame [rounded <px>] [stroke <px> <#hex>] [shadow] — card look; /frame off
+• /carousel <2-10> [ratio] — reply to a panorama to split it into a seamless carousel
+• /trim <on|off|1-100> — strip existing uniform borders (letterboxing) before padding
+• /unpad [1-100] — reply to an image to just strip its borders; reports pixels removed per side
+• /ratio 4x6in, 10x15cm, 210x297mm or a4/a5/letter… — physical size (pixels come from /print)
+• /redo [ratio] [color] [format] [align] [margin] — reply to a result (or a photo) to re-process it once with these changes ("ratio auto" / "color auto" for auto); /ratio as a reply to a result does the same
+• /compare [side-by-side|slider] — reply to a photo for a before/after image with your current settings
+• /print [size] [dpi] [bleed <3mm>] [marks] — print mode: size at the DPI (default 300) written into the file, bleed around the trim box, crop marks in it; /print off
+• /preset save|use|delete <name>, /preset list — named bundles of all your settings (up to ${MAX_PRESETS})
+• /preset share <name> — code a teammate can /preset import <code> [name] to get the same settings
+• /queue — your waiting jobs with their ETA; /cancel — drop them and stop a running album after the current image
+• /settings — current settings, with buttons to change ratio, border, format and metadata
 
 Notes:
-• No scaling.
+• No scaling, except platform presets / pixel sizes.
 • Only padding to match aspect ratio.
+• Accepts ${FORMAT_LIST}.
+• Animated GIF/WebP keep all frames (output stays GIF or WebP).
 • Albums (media groups) supported.
-• Multiple images you send quickly will be queued and processed in order.`
+• Multiple images you send quickly will be queued and processed in order (see /queue).`
   );
 });
 
+bot.command("queue", async (ctx) => {
+  const { running, waiting, doneInMs } = userQueueStatus(ctx.from.id);
+  if (!running && !waiting.length) return ctx.reply("Nothing in your queue.");
+
+  const lines = [];
+  if (running) {
+    const secs = Math.round((Date.now() - running.startedAt) / 1000);
+    lines.push(
+      `Now: ${describeJob(running)}, started ${secs}s ago` +
+        (running.cancelled ? " (stopping)" : "")
+    );
+  }
+  waiting.forEach((job, i) => {
+    lines.push(
+      `${i + 1}. ${describeJob(job)} — starts in ${describeEta(job.startsInMs)}`
+    );
+  });
+  lines.push(`All done in ${describeEta(doneInMs)}. /cancel to drop it all.`);
+  await ctx.reply(lines.join("\n"));
+});
+
+bot.command("cancel", async (ctx) => {
+  // Albums still arriving would otherwise be queued right after this
+  const albums = dropPendingAlbums(ctx.from.id);
+  const { dropped, running } = await cancelUserJobs(ctx.from.id);
+  const count = dropped.length + albums;
+  if (!count && !running) return ctx.reply("Nothing to cancel.");
+
+  const parts = [];
+  if (count) {
+    parts.push(`Cancelled ${count} queued job${count > 1 ? "s" : ""}.`);
+  }
+  if (running && running.count > 1) {
+    parts.push(`Stopping the running ${running.type} after the current image.`);
+  } else if (running) {
+    parts.push(`The running ${running.type} will still be sent.`);
+  }
+  await ctx.reply(parts.join(" "));
+});
+
 bot.command("settings", async (ctx) => {
   const st = await getUserState(ctx.from.id);
-  await ctx.reply(`Current settings:\n${humanSettings(st)}`);
+  await ctx.reply(
+    `Current settings:\n${humanSettings(st)}`,
+    settingsKeyboard("main", st, PRESETS)
+  );
+});
+
+// Redraw the settings message in place (keyboard null = remove it)
+async function editSettings(ctx, st, menu) {
+  try {
+    await ctx.editMessageText(
+      `Current settings:\n${humanSettings(st)}`,
+      menu ? settingsKeyboard(menu, st, PRESETS) : undefined
+    );
+  } catch (err) {
+    // Tapping the option that's already set changes nothing
+    if (!/message is not modified/.test(err.description || err.message)) {
+      throw err;
+    }
+  }
+}
+
+// Buttons of the /settings menu (see menu.js); the answer only clears the
+// button's spinner, or shows a short toast when a value is refused
+bot.action(/^set:/, async (ctx) => {
+  const action = parseMenuData(ctx.callbackQuery.data);
+  if (!action) return ctx.answerCbQuery();
+
+  const userId = ctx.from.id;
+  let st = await getUserState(userId);
+  let menu = "main";
+  let refused = null;
+
+  switch (action.kind) {
+    case "menu":
+      menu = MENUS.includes(action.value) ? action.value : "main";
+      break;
+    case "ratio": {
+      const r = parseRatio(action.value);
+      menu = r && r.width ? "platform" : "ratio";
+      if (!r) refused = "Unknown ratio";
+      else if (!fitsPrint(r, st.print)) refused = "Too large at the print DPI";
+      else st = await setUserRatio(userId, r);
+      break;
+    }
+    case "color": {
+      const c = parseColor(action.value);
+      menu = "color";
+      if (c) st = await setUserColor(userId, c);
+      else refused = "Unknown color";
+      break;
+    }
+    case "format": {
+      const f = parseFormat(action.value);
+      menu = "output";
+      if (f) st = await setUserFormat(userId, f);
+      else refused = "Unknown format";
+      break;
+    }
+    case "metadata": {
+      const p = parseMetadataPolicy(action.value);
+      menu = "output";
+      if (p) st = await setUserMetadata(userId, p);
+      else refused = "Unknown policy";
+      break;
+    }
+    case "done":
+      menu = null;
+      break;
+    default:
+      break;
+  }
+
+  await ctx.answerCbQuery(refused || undefined);
+  await editSettings(ctx, st, menu);
 });
 
 bot.command("ratio", async (ctx) => {
-  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  // Everything after the command, so "auto uniform" stays one argument
+  const arg = (ctx.message.text || "").split(/\s+/).slice(1).join(" ");
   const r = parseRatio(arg);
-  if (!r) return ctx.reply("Usage: /ratio 4:5 or 16:9 or original");
+  if (!r) {
+    const presets = PLATFORM_PRESETS.map(
+      (p) => `• ${p.key} (${p.width}×${p.height})`
+    ).join("\n");
+    return ctx.reply(
+      `Usage: /ratio 4:5, 1.91:1, 1080x1350, 10x15cm, a4, original, a list like 1:1,4:5,9:16 or auto[:4:5,1:1,16:9] [uniform]\nPlatform presets:\n${presets}`
+    );
+  }
+  const current = await getUserState(ctx.from.id);
+  if (!fitsPrint(r, current.print)) {
+    return ctx.reply(
+      `${r.key} at ${current.print.dpi} dpi is over ${MAX_PRINT_SIDE}px; lower the DPI with /print first`
+    );
+  }
+  // As a reply to one of our results: re-process its input with this ratio,
+  // just this once. Replies to anything else set the ratio as usual.
+  const replied = ctx.message.reply_to_message;
+  if (replied && replied.from && replied.from.id === ctx.botInfo.id) {
+    const source = await lookupOutputSource(ctx, replied);
+    if (source) return enqueueRedo(ctx, { ratio: r }, source);
+  }
   const st = await setUserRatio(ctx.from.id, r);
   await ctx.reply(`OK, ratio set to ${st.ratio.key}`);
 });
 
 bot.command("color", async (ctx) => {
-  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  // rgba(…) may contain spaces, so it takes the whole argument
+  const rest = (ctx.message.text || "").split(/\s+/).slice(1).join(" ");
+  const [arg, strength] = /^rgba?\(/i.test(rest) ? [rest] : rest.split(" ");
   const c = parseColor(arg);
-  if (!c) return ctx.reply("Usage: /color #000000 or black/white");
-  const st = await setUserColor(ctx.from.id, c);
-  await ctx.reply(`OK, border color set to ${st.color}`);
+  if (!c)
+    return ctx.reply(
+      "Usage: /color #000000, black/white, transparent, #RRGGBBAA, rgba(0,0,0,0.5), blur [1-100] or auto[:edge|dominant|average]"
+    );
+  let blur;
+  if (strength !== undefined) {
+    blur = parseBlur(strength);
+    if (!blur) return ctx.reply("Blur strength must be a number from 1 to 100");
+  }
+  const st = await setUserColor(ctx.from.id, c, blur);
+  await ctx.reply(`OK, border set to ${describeColor(st)}`);
+});
+
+bot.command("bg", async (ctx) => {
+  const args = (ctx.message.text || "").split(/\s+/).slice(1);
+  const replied = ctx.message.reply_to_message;
+
+  // Reply to a photo/image document: use it as the background texture
+  if (!args.length && replied) {
+    const fileId = repliedImageFileId(replied);
+    if (!fileId) {
+      return ctx.reply("Reply /bg to a photo to use it as background");
+    }
+    const st = await setUserBackground(ctx.from.id, {
+      type: "image",
+      fileId,
+    });
+    return ctx.reply(`OK, border set to ${describeColor(st)}`);
+  }
+
+  if (/^(off|none|reset)$/i.test(args[0] || "")) {
+    const st = await setUserBackground(ctx.from.id, null);
+    return ctx.reply(`OK, background removed. Border: ${describeColor(st)}`);
+  }
+
+  const bg = parseBackground(args);
+  if (!bg) {
+    return ctx.reply(
+      `Usage:
+/bg gradient #ff0000 #0000ff [linear|radial] [angle]
+/bg pattern <${PATTERNS.join("|")}> [#fg] [#bg] [size]
+/bg (as a reply to a photo) — use it as background
+/bg off`
+    );
+  }
+  const st = await setUserBackground(ctx.from.id, bg);
+  await ctx.reply(`OK, border set to ${describeColor(st)}`);
+});
+
+bot.command("align", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const a = parseAlign(arg);
+  if (!a)
+    return ctx.reply(
+      "Usage: /align center, top, bottom-left… or x,y fractions like 0.5,0.2"
+    );
+  const st = await setUserAlign(ctx.from.id, a);
+  await ctx.reply(`OK, photo alignment set to ${st.align.key}`);
+});
+
+bot.command("margin", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const m = parseMargin(arg);
+  if (!m) return ctx.reply("Usage: /margin 5% (of the long edge), 40px or 0");
+  const st = await setUserMargin(ctx.from.id, m);
+  await ctx.reply(`OK, minimum margin set to ${st.margin.key}`);
+});
+
+bot.command("format", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const f = parseFormat(arg);
+  if (!f) return ctx.reply(`Usage: /format ${OUTPUT_FORMATS.join("|")}`);
+  const st = await setUserFormat(ctx.from.id, f);
+  await ctx.reply(`OK, output format set to ${st.format}`);
+});
+
+bot.command("metadata", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const p = parseMetadataPolicy(arg);
+  if (!p) return ctx.reply(`Usage: /metadata ${METADATA_POLICIES.join("|")}`);
+  const st = await setUserMetadata(ctx.from.id, p);
+  await ctx.reply(`OK, metadata policy set to ${st.metadata}`);
+});
+
+bot.command("watermark", async (ctx) => {
+  const args = (ctx.message.text || "").split(/\s+/).slice(1);
+  const replied = ctx.message.reply_to_message;
+  const st = await getUserState(ctx.from.id);
+
+  // Reply to a photo/image document: use it as the logo
+  if (!args.length && replied) {
+    const fileId = repliedImageFileId(replied);
+    if (!fileId) {
+      return ctx.reply("Reply /watermark to an image to use it as logo");
+    }
+    const wm = normalizeWatermark({ ...st.watermark, logo: { fileId } });
+    const next = await setUserWatermark(ctx.from.id, wm);
+    return ctx.reply(`OK, watermark: ${describeWatermark(next.watermark)}`);
+  }
+
+  if (/^(off|none|reset)$/i.test(args[0] || "") && args.length === 1) {
+    await setUserWatermark(ctx.from.id, null);
+    return ctx.reply("OK, watermark removed");
+  }
+
+  const wm = args.length ? parseWatermarkArgs(st.watermark, args) : null;
+  if (!wm) {
+    return ctx.reply(
+      `Current watermark: ${describeWatermark(st.watermark)}
+
+Usage:
+/watermark @yourhandle — text in the border
+/watermark (as a reply to an image) — use it as logo
+/watermark size <1-20> — % of the short edge
+/watermark opacity <1-100>
+/watermark color #ffffff
+/watermark position <${WATERMARK_POSITIONS.join("|")}>
+/watermark logo off
+/watermark off`
+    );
+  }
+  const next = await setUserWatermark(ctx.from.id, wm);
+  await ctx.reply(`OK, watermark: ${describeWatermark(next.watermark)}`);
+});
+
+bot.command("polaroid", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const p = parsePolaroid(arg);
+  if (!p) {
+    return ctx.reply(
+      "Usage: /polaroid on|off|left|center|right — the caption you send with a photo is written in the bottom band"
+    );
+  }
+  const st = await setUserPolaroid(ctx.from.id, p);
+  await ctx.reply(
+    st.polaroid === "off"
+      ? "OK, polaroid mode off"
+      : `OK, polaroid mode on (caption ${st.polaroid})`
+  );
+});
+
+bot.command("frame", async (ctx) => {
+  const args = (ctx.message.text || "").split(/\s+/).slice(1);
+  if (/^(off|none|reset)$/i.test(args[0] || "")) {
+    await setUserFrame(ctx.from.id, null);
+    return ctx.reply("OK, frame effects removed");
+  }
+  const fr = args.length ? parseFrame(args) : null;
+  if (!fr) {
+    return ctx.reply(
+      `Usage:
+/frame rounded 24 shadow
+/frame rounded [radius px] stroke [width px] [#color] shadow — any combination
+/frame off`
+    );
+  }
+  const st = await setUserFrame(ctx.from.id, fr);
+  await ctx.reply(`OK, frame set to ${describeFrame(st.frame)}`);
+});
+
+bot.command("carousel", async (ctx) => {
+  const [, countArg, ratioArg] = (ctx.message.text || "").split(/\s+/);
+  const usage = `Usage: reply to a panorama with /carousel <${MIN_CAROUSEL}-${MAX_CAROUSEL}> [ratio], e.g. /carousel 3 4:5`;
+  const replied = ctx.message.reply_to_message;
+  const fileId = replied ? repliedImageFileId(replied) : null;
+  if (!fileId) return ctx.reply(usage);
+
+  const count = Number(countArg);
+  if (
+    !Number.isInteger(count) ||
+    count < MIN_CAROUSEL ||
+    count > MAX_CAROUSEL
+  ) {
+    return ctx.reply(usage);
+  }
+
+  // Tiles use the given ratio, else the user's; "original", "auto" and ratio
+  // lists have no single tile shape
+  const st = await getUserState(ctx.from.id);
+  const ratio = ratioArg ? parseRatio(ratioArg) : st.ratio;
+  if (!ratio || ratio.key === "original" || ratio.auto || ratio.ratios) {
+    return ctx.reply(`Pick a tile ratio, e.g. /carousel ${count} 4:5`);
+  }
+
+  const userId = String(ctx.from.id);
+  const traceId = genTraceId();
+  const name = (replied.document && replied.document.file_name) || "panorama";
+  const job = await makeCarouselJob(ctx, fileId, name, count, ratio, traceId);
+  enqueueJob(userId, job, { traceId, type: "carousel" });
+});
+
+bot.command("trim", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const t = parseTrim(arg);
+  if (t === null) {
+    return ctx.reply(
+      `Usage: /trim on, off or a tolerance 1-${MAX_TRIM_THRESHOLD} (default ${DEFAULT_TRIM_THRESHOLD}) — strip existing uniform borders before padding`
+    );
+  }
+  const st = await setUserTrim(ctx.from.id, t);
+  await ctx.reply(`OK, trim set to ${describeTrim(st.trim)}`);
+});
+
+bot.command("print", async (ctx) => {
+  const args = (ctx.message.text || "").split(/\s+/).slice(1);
+  if (/^(off|none)$/i.test(args[0] || "") && args.length === 1) {
+    await setUserPrint(ctx.from.id, null);
+    return ctx.reply("OK, print mode off");
+  }
+
+  const parsed = parsePrint(args);
+  if (!parsed) {
+    return ctx.reply(
+      `Usage: /print [size] [dpi ${MIN_DPI}-${MAX_DPI}] [bleed <length, up to ${MAX_BLEED_MM}mm>] [marks]
+e.g. /print 10x15cm 300dpi bleed 3mm marks
+Sizes: 4x6in, 10x15cm, 210x297mm or ${[...PAPER_SIZES.keys()].join(", ")}
+/print off`
+    );
+  }
+
+  // The size becomes the ratio; without one the current ratio stays
+  const current = await getUserState(ctx.from.id);
+  const ratio = parsed.size || current.ratio;
+  if (!fitsPrint(ratio, parsed.print)) {
+    return ctx.reply(
+      `${ratio.key} at ${parsed.print.dpi} dpi is over ${MAX_PRINT_SIDE}px; use a lower DPI`
+    );
+  }
+  if (parsed.size) await setUserRatio(ctx.from.id, parsed.size);
+  const st = await setUserPrint(ctx.from.id, parsed.print);
+  const sizes = st.ratio.ratios || st.ratio.candidates || [st.ratio];
+  const note = sizes.some((r) => r.size)
+    ? ""
+    : `\nRatio ${st.ratio.key} isn't a physical size, so only the DPI and bleed apply (set one with /ratio 10x15cm)`;
+  await ctx.reply(
+    `OK, print mode: ${st.ratio.key}, ${describePrint(st.print)}${note}`
+  );
+});
+
+bot.command("preset", async (ctx) => {
+  const [sub, arg, arg2] = (ctx.message.text || "").split(/\s+/).slice(1);
+  const usage = `Usage:
+/preset save <name> — save your current settings
+/preset use <name> — switch to them
+/preset list
+/preset delete <name>
+/preset share <name> — get its share code
+/preset import <code> [name] — copy a teammate's preset
+Names: a-z, 0-9, - and _, up to 32 characters`;
+  const action = (sub || "").toLowerCase();
+
+  if (action === "list") {
+    const presets = await listUserPresets(ctx.from.id);
+    if (!presets.length) {
+      return ctx.reply("No presets yet. Save one with /preset save <name>");
+    }
+    const st = await getUserState(ctx.from.id);
+    const lines = presets.map(
+      (p) =>
+        `${p.name === st.preset ? "✓ " : ""}${p.name} — ${p.settings.ratio}, code ${p.shareCode}`
+    );
+    return ctx.reply(
+      `Presets (${presets.length}/${MAX_PRESETS}):\n${lines.join("\n")}`
+    );
+  }
+
+  if (action === "import") {
+    if (!arg) return ctx.reply(usage);
+    const name = arg2 === undefined ? undefined : parsePresetName(arg2);
+    if (name === null) return ctx.reply(usage);
+    const res = await importUserPreset(ctx.from.id, arg, name);
+    if (res.error === "not-found") {
+      return ctx.reply(`No preset with code ${arg.toUpperCase()}`);
+    }
+    if (res.error === "exists") {
+      return ctx.reply(
+        `You already have a preset “${res.name}”; import under another name with /preset import ${arg.toUpperCase()} <name>`
+      );
+    }
+    if (res.error === "limit") {
+      return ctx.reply(
+        `You already have ${MAX_PRESETS} presets; delete one with /preset delete <name>`
+      );
+    }
+    return ctx.reply(
+      `OK, imported as “${res.name}”. Switch to it with /preset use ${res.name}`
+    );
+  }
+
+  const name = parsePresetName(arg);
+  if (!name || !["save", "use", "delete", "share"].includes(action)) {
+    return ctx.reply(usage);
+  }
+
+  if (action === "save") {
+    const saved = await saveUserPreset(ctx.from.id, name);
+    if (!saved) {
+      return ctx.reply(
+        `You already have ${MAX_PRESETS} presets; delete one with /preset delete <name>`
+      );
+    }
+    return ctx.reply(
+      `OK, saved preset “${name}” (share code ${saved.shareCode})`
+    );
+  }
+
+  if (action === "use") {
+    const st = await useUserPreset(ctx.from.id, name);
+    if (!st) return ctx.reply(`No preset “${name}”. See /preset list`);
+    return ctx.reply(`OK, using preset “${name}”:\n${humanSettings(st)}`);
+  }
+
+  if (action === "delete") {
+    const deleted = await deleteUserPreset(ctx.from.id, name);
+    return ctx.reply(
+      deleted ? `OK, deleted preset “${name}”` : `No preset “${name}”`
+    );
+  }
+
+  // share
+  const preset = (await listUserPresets(ctx.from.id)).find(
+    (p) => p.name === name
+  );
+  if (!preset) return ctx.reply(`No preset “${name}”. See /preset list`);
+  await ctx.reply(
+    `Share code for “${name}”: ${preset.shareCode}\nA teammate can copy it with /preset import ${preset.shareCode}`
+  );
+});
+
+bot.command("redo", async (ctx) => {
+  const args = (ctx.message.text || "").split(/\s+/).slice(1);
+  const overrides = parseOverrides(args);
+  if (!ctx.message.reply_to_message || !overrides) {
+    return ctx.reply(
+      `Usage: reply to one of my results (or your photo) with /redo [ratio] [color] [format] [align] [margin]
+e.g. /redo white, /redo 1:1 blur 20 png
+"auto" needs saying which: /redo ratio auto or /redo color auto
+Your saved settings stay as they are.`
+    );
+  }
+  if (overrides.ratio) {
+    const st = await getUserState(ctx.from.id);
+    if (!fitsPrint(overrides.ratio, st.print)) {
+      return ctx.reply(
+        `${overrides.ratio.key} at ${st.print.dpi} dpi is over ${MAX_PRINT_SIDE}px`
+      );
+    }
+  }
+  await enqueueRedo(ctx, overrides);
+});
+
+bot.command("compare", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const usage = `Usage: reply to a photo with /compare [${COMPARE_MODES.join("|")}]`;
+  const replied = ctx.message.reply_to_message;
+  const fileId = replied ? repliedImageFileId(replied) : null;
+  const mode = parseCompareMode(arg);
+  if (!fileId || !mode) return ctx.reply(usage);
+
+  const userId = String(ctx.from.id);
+  const traceId = genTraceId();
+  const job = await makeCompareJob(
+    ctx,
+    fileId,
+    replied.caption || "",
+    mode,
+    traceId
+  );
+  enqueueJob(userId, job, { traceId, type: "compare" });
+});
+
+bot.command("unpad", async (ctx) => {
+  const arg = (ctx.message.text || "").split(/\s+/)[1];
+  const usage = `Usage: reply to an image with /unpad [tolerance 1-${MAX_TRIM_THRESHOLD}] to strip its existing borders`;
+  const replied = ctx.message.reply_to_message;
+  const fileId = replied ? repliedImageFileId(replied) : null;
+  if (!fileId) return ctx.reply(usage);
+
+  // Tolerance: the argument, else the user's trim setting, else the default
+  const st = await getUserState(ctx.from.id);
+  const threshold =
+    arg !== undefined ? parseTrim(arg) : st.trim || DEFAULT_TRIM_THRESHOLD;
+  if (!threshold) return ctx.reply(usage);
+
+  const userId = String(ctx.from.id);
+  const traceId = genTraceId();
+  const name = (replied.document && replied.document.file_name) || "image";
+  const job = await makeUnpadJob(ctx, fileId, name, threshold, traceId);
+  enqueueJob(userId, job, { traceId, type: "unpad" });
 });
 
 // ---------------- Media handlers ----------------
-const albumCache = new Map(); // media_group_id -> { items: [], timer }
+const albumCache = new Map(); // media_group_id -> { userId, items: [], timer }
+
+// Forget a user's albums still being collected (/cancel); returns how many
+function dropPendingAlbums(userId) {
+  let dropped = 0;
+  for (const [groupId, entry] of albumCache) {
+    if (entry.userId !== String(userId)) continue;
+    clearTimeout(entry.timer);
+    albumCache.delete(groupId);
+    dropped++;
+  }
+  return dropped;
+}
 
 bot.on("photo", async (ctx) => {
   const photos = ctx.message.photo || [];
@@ -347,6 +1541,7 @@ bot.on("photo", async (ctx) => {
     // Aggregate album into one job
     if (!albumCache.has(mediaGroupId)) {
       albumCache.set(mediaGroupId, {
+        userId,
         items: [],
         timer: setTimeout(async () => {
           const entry = albumCache.get(mediaGroupId);
@@ -355,7 +1550,11 @@ bot.on("photo", async (ctx) => {
 
           const traceId = genTraceId();
           const job = await makeAlbumJob(ctx, entry.items, traceId);
-          enqueueJob(userId, job);
+          enqueueJob(userId, job, {
+            traceId,
+            type: "album",
+            count: entry.items.length,
+          });
         }, ALBUM_AGGREGATE_MS),
       });
     }
@@ -363,6 +1562,7 @@ bot.on("photo", async (ctx) => {
     entry.items.push({
       fileId: largest.file_id,
       fileName: `album_${entry.items.length + 1}`,
+      caption: ctx.message.caption,
     });
   } else {
     // Single photo → enqueue
@@ -374,17 +1574,42 @@ bot.on("photo", async (ctx) => {
       traceId,
       "photo"
     );
-    enqueueJob(userId, job);
+    enqueueJob(userId, job, { traceId, type: "photo" });
   }
 });
 
+bot.on("animation", async (ctx) => {
+  const anim = ctx.message.animation;
+  if (!anim) return;
+
+  // Telegram usually converts GIFs to MP4, which sharp cannot decode
+  const mime = (anim.mime_type || "").toLowerCase();
+  if (mime !== "image/gif" && mime !== "image/webp") {
+    await ctx.reply(
+      "Telegram delivered this animation as a video, which I can't pad. Send an animated WebP (or GIF) as a file instead."
+    );
+    return;
+  }
+
+  const userId = String(ctx.from.id);
+  const traceId = genTraceId();
+  const job = await makeSinglePhotoJob(
+    ctx,
+    anim.file_id,
+    anim.file_name || "animation",
+    traceId,
+    "animation"
+  );
+  enqueueJob(userId, job, { traceId, type: "animation" });
+});
+
 bot.on("document", async (ctx) => {
   const doc = ctx.message.document;
   if (!doc || !doc.mime_type) return;
 
-  // Only accept jpeg/jpg/png documents
-  if (!ALLOWED_MIME.has(doc.mime_type.toLowerCase())) {
-    await ctx.reply("Unsupported image format. Please send JPEG or PNG.");
+  // Only accept image documents; the real format is checked after download
+  if (!doc.mime_type.toLowerCase().startsWith("image/")) {
+    await ctx.reply(UNSUPPORTED_MSG);
     return;
   }
 
@@ -412,15 +1637,10 @@ bot.on("document", async (ctx) => {
 
     try {
       const buf = await downloadFileBuffer(ctx, doc.file_id);
-      const meta = await sharp(buf, { failOn: "none" }).metadata();
-      let fmt =
-        meta && meta.format
-          ? meta.format.toLowerCase()
-          : doc.mime_type.split("/")[1].toLowerCase();
-      if (fmt === "jpg") fmt = "jpeg";
-
-      if (!ALLOWED_FMT.has(fmt)) {
-        await ctx.reply("Unsupported image format. Please send JPEG or PNG.");
+      const fmt = await probeInputFormat(buf);
+
+      if (!fmt) {
+        await ctx.reply(unsupportedMsg(buf));
       } else {
         const res = await processAndReplyImage(
           ctx,
@@ -429,7 +1649,13 @@ bot.on("document", async (ctx) => {
           fmt,
           st,
           traceId,
-          "document"
+          "document",
+          ctx.message.caption,
+          {
+            fileId: doc.file_id,
+            fileName: doc.file_name,
+            caption: ctx.message.caption,
+          }
         );
         bytes += res.bytes;
         ms += res.ms;
@@ -453,7 +1679,7 @@ bot.on("document", async (ctx) => {
     }
   };
 
-  enqueueJob(userId, job);
+  enqueueJob(userId, job, { traceId, type: "document" });
 });
 
 module.exports = { bot };
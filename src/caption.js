@@ -0,0 +1,87 @@
+const { escapeXml } = require("./xml");
+
+// Polaroid frame: an even border on three sides and a thick bottom band that
+// carries the caption. Sizes are fractions of the photo's short edge.
+const POLAROID_SIDE = 0.05;
+const POLAROID_BOTTOM = 0.22;
+const CAPTION_ALIGNS = ["left", "center", "right"];
+const MAX_CAPTION_LENGTH = 200;
+
+// Average advance of a sans-serif glyph, in em, used to fit the caption
+// without measuring it
+const AVG_GLYPH_EM = 0.6;
+
+/**
+ * Per-side frame widths for a W×H photo; never thinner than the minimum
+ * margin m (px).
+ */
+function polaroidFrame(W, H, m) {
+  const short = Math.min(W, H);
+  const side = Math.max(m, Math.round(short * POLAROID_SIDE));
+  const bottom = Math.max(m, Math.round(short * POLAROID_BOTTOM));
+  return { top: side, left: side, right: side, bottom };
+}
+
+// Collapse whitespace and cap the length (Telegram captions can be long)
+function normalizeCaption(text) {
+  const s = String(text || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return s.length > MAX_CAPTION_LENGTH
+    ? s.slice(0, MAX_CAPTION_LENGTH - 1) + "…"
+    : s;
+}
+
+// Black or white, whichever reads better on the given hex background
+// (an alpha suffix is ignored)
+function contrastColor(hex) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})([0-9a-f]{2})?$/i.exec(
+    String(hex || "")
+  );
+  if (!m) return "#ffffff";
+  let h = m[1];
+  if (h.length === 3) h = [...h].map((c) => c + c).join("");
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+  return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? "#222222" : "#ffffff";
+}
+
+/**
+ * SVG of the caption for a w×h band. The font is as large as the band
+ * allows, then shrunk until the estimated text width fits.
+ */
+function captionSvg(text, w, h, align, color) {
+  const pad = Math.round(h * 0.15);
+  const fitWidth = (w - 2 * pad) / ([...text].length * AVG_GLYPH_EM);
+  const size = Math.max(6, Math.floor(Math.min(h * 0.4, fitWidth)));
+  const x = align === "left" ? pad : align === "right" ? w - pad : w / 2;
+  const anchor = { left: "start", center: "middle", right: "end" }[align];
+  // Baseline roughly a third of the font size below the band's middle
+  const y = Math.round(h / 2 + size * 0.35);
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">` +
+    `<text x="${x}" y="${y}" text-anchor="${anchor}"` +
+    ` font-family="sans-serif" font-size="${size}" fill="${color}">` +
+    `${escapeXml(text)}</text></svg>`
+  );
+}
+
+/**
+ * Composite layer drawing the caption into band = { left, top, width, height }.
+ * Returns [] when there is no caption or no room for it.
+ */
+function renderCaption(text, band, { align = "center", color } = {}) {
+  const caption = normalizeCaption(text);
+  if (!caption || band.width < 1 || band.height < 8) return [];
+  const svg = captionSvg(caption, band.width, band.height, align, color);
+  return [{ input: Buffer.from(svg), left: band.left, top: band.top }];
+}
+
+module.exports = {
+  CAPTION_ALIGNS,
+  MAX_CAPTION_LENGTH,
+  AVG_GLYPH_EM,
+  polaroidFrame,
+  normalizeCaption,
+  contrastColor,
+  renderCaption,
+};
@@ -0,0 +1,224 @@
+const sharp = require("sharp");
+const {
+  calculateCellPositions,
+  processImageForCell,
+  layoutCanvas,
+} = require("./layout");
+const { AVG_GLYPH_EM } = require("./caption");
+const { escapeXml } = require("./xml");
+
+// Before/after comparison of an original and its no-crop result, to show
+// what the padding does:
+//   side-by-side  the whole original next to the result (stacked when the
+//                 result is landscape), both at the same scale
+//   slider        the result, with the original cropped to the same frame
+//                 (what a platform would do) left of a divider
+const COMPARE_MODES = ["side-by-side", "slider"];
+const DEFAULT_COMPARE_MODE = "side-by-side";
+const DEFAULT_LABELS = { before: "Before", after: "After" };
+const MAX_LABEL_LENGTH = 40;
+// Long side of the comparison image
+const MAX_COMPARE_SIDE = 2560;
+// Behind the original and any see-through border; neutral next to any color
+const COMPARE_BACKDROP = "#808080";
+
+// Label font size as a fraction of the comparison's short side (the label
+// width is estimated like the polaroid caption's, with AVG_GLYPH_EM)
+const LABEL_SIZE = 0.035;
+
+// "side-by-side" (also "side", "sbs") or "slider"; empty means the default
+function parseCompareMode(input) {
+  const m = String(input ?? "")
+    .trim()
+    .toLowerCase();
+  if (!m) return DEFAULT_COMPARE_MODE;
+  if (m === "side" || m === "sbs") return "side-by-side";
+  return COMPARE_MODES.includes(m) ? m : null;
+}
+
+/**
+ * Labels as { before, after } from an object or a [before, after] array;
+ * missing ones keep the defaults, "" hides a label. Returns null if invalid.
+ */
+function normalizeLabels(input) {
+  if (input === undefined || input === null) return { ...DEFAULT_LABELS };
+  const obj = Array.isArray(input)
+    ? { before: input[0], after: input[1] }
+    : input;
+  if (typeof obj !== "object") return null;
+
+  const labels = { ...DEFAULT_LABELS };
+  for (const key of ["before", "after"]) {
+    if (obj[key] === undefined) continue;
+    if (typeof obj[key] !== "string") return null;
+    labels[key] = obj[key].replace(/\s+/g, " ").trim();
+    if (labels[key].length > MAX_LABEL_LENGTH) return null;
+  }
+  return labels;
+}
+
+// Dark pill with white text; anchor "start" hangs right of x, "end" left of it
+function labelSvg(text, x, y, size, anchor) {
+  if (!text) return "";
+  const pad = Math.round(size / 2);
+  const w = Math.round([...text].length * size * AVG_GLYPH_EM) + 2 * pad;
+  const h = size + 2 * pad;
+  const left = anchor === "end" ? x - w : x;
+  return (
+    `<rect x="${left}" y="${y}" width="${w}" height="${h}" rx="${pad}"` +
+    ` fill="#000" fill-opacity="0.55"/>` +
+    `<text x="${left + w / 2}" y="${y + pad + Math.round(size * 0.8)}"` +
+    ` text-anchor="middle" font-family="sans-serif" font-size="${size}"` +
+    ` fill="#fff">${escapeXml(text)}</text>`
+  );
+}
+
+function overlay(W, H, body) {
+  return {
+    input: Buffer.from(
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}">` +
+        `${body}</svg>`
+    ),
+    left: 0,
+    top: 0,
+  };
+}
+
+/**
+ * Build the comparison image from the original and its noCropBuffer output.
+ * Animations are compared on their first frame. opts.labels as accepted by
+ * normalizeLabels; opts.position: where the slider divider sits (0..1).
+ * Returns { buffer, format: "jpeg", width, height }.
+ */
+async function compareBuffer(
+  original,
+  padded,
+  { mode = DEFAULT_COMPARE_MODE, labels = DEFAULT_LABELS, position = 0.5 } = {}
+) {
+  // Upright, lossless copies; everything below is scaled from these
+  const before = await sharp(original, { failOn: "none" })
+    .rotate()
+    .png({ compressionLevel: 1 })
+    .toBuffer({ resolveWithObject: true });
+  const after = await sharp(padded, { failOn: "none" })
+    .png({ compressionLevel: 1 })
+    .toBuffer({ resolveWithObject: true });
+  const aw = after.info.width,
+    ah = after.info.height;
+
+  const layers = [];
+  let W, H, svg;
+
+  if (mode === "slider") {
+    const scale = Math.min(1, MAX_COMPARE_SIDE / Math.max(aw, ah));
+    W = Math.max(1, Math.round(aw * scale));
+    H = Math.max(1, Math.round(ah * scale));
+    const cell = { x: 0, y: 0, width: W, height: H };
+    const split = Math.round(W * Math.min(1, Math.max(0, position)));
+
+    layers.push({
+      input: await sharp(after.data).resize(W, H).toBuffer(),
+      left: 0,
+      top: 0,
+    });
+    if (split > 0) {
+      const cropped = await processImageForCell(before.data, cell, 1);
+      layers.push({
+        input: await sharp(cropped)
+          .extract({ left: 0, top: 0, width: split, height: H })
+          .toBuffer(),
+        left: 0,
+        top: 0,
+      });
+    }
+
+    const size = Math.max(12, Math.round(Math.min(W, H) * LABEL_SIZE));
+    const line = Math.max(2, Math.round(size / 8));
+    const r = size;
+    const cy = Math.round(H / 2);
+    const a = Math.round(r / 2);
+    svg =
+      `<rect x="${split - line / 2}" y="0" width="${line}" height="${H}"` +
+      ` fill="#fff"/>` +
+      `<circle cx="${split}" cy="${cy}" r="${r}" fill="#fff"/>` +
+      `<path d="M ${split - 2} ${cy - a} L ${split - 2 - a} ${cy} L ${split - 2} ${cy + a} Z` +
+      ` M ${split + 2} ${cy - a} L ${split + 2 + a} ${cy} L ${split + 2} ${cy + a} Z"` +
+      ` fill="#333"/>` +
+      labelSvg(labels.before, size, size, size, "start") +
+      labelSvg(labels.after, W - size, size, size, "end");
+  } else {
+    // Landscape results read better stacked than side by side
+    const stacked = aw > ah;
+    const scale = Math.min(
+      1,
+      MAX_COMPARE_SIDE / (stacked ? Math.max(aw, 2 * ah) : Math.max(2 * aw, ah))
+    );
+    const cw = Math.max(1, Math.round(aw * scale)),
+      ch = Math.max(1, Math.round(ah * scale));
+    W = stacked ? cw : 2 * cw;
+    H = stacked ? 2 * ch : ch;
+    const [left, right] = calculateCellPositions(
+      stacked ? "2-vertical" : "2-horizontal",
+      W,
+      H
+    );
+
+    // The original at the result's scale, so the photo matches in both
+    // halves; centered in its cell and never larger than it
+    const bw = Math.min(
+      left.width,
+      Math.max(1, Math.round(before.info.width * scale))
+    );
+    const bh = Math.min(
+      left.height,
+      Math.max(1, Math.round(before.info.height * scale))
+    );
+    const fitted = await sharp(before.data)
+      .resize(bw, bh, { fit: "inside", kernel: "lanczos3" })
+      .toBuffer({ resolveWithObject: true });
+    layers.push(
+      {
+        input: fitted.data,
+        left: left.x + Math.floor((left.width - fitted.info.width) / 2),
+        top: left.y + Math.floor((left.height - fitted.info.height) / 2),
+      },
+      {
+        input: await sharp(after.data)
+          .resize(right.width, right.height)
+          .toBuffer(),
+        left: right.x,
+        top: right.y,
+      }
+    );
+
+    const size = Math.max(12, Math.round(Math.min(cw, ch) * LABEL_SIZE));
+    const line = Math.max(2, Math.round(size / 8));
+    const divider = stacked
+      ? `<rect x="0" y="${right.y - line / 2}" width="${W}" height="${line}"`
+      : `<rect x="${right.x - line / 2}" y="0" width="${line}" height="${H}"`;
+    svg =
+      `${divider} fill="#fff"/>` +
+      labelSvg(labels.before, left.x + size, left.y + size, size, "start") +
+      labelSvg(labels.after, right.x + size, right.y + size, size, "start");
+  }
+
+  layers.push(overlay(W, H, svg));
+  const canvas = await layoutCanvas(W, H, {
+    backgroundColor: COMPARE_BACKDROP,
+  });
+  const buffer = await canvas
+    .composite(layers)
+    .jpeg({ quality: 95, mozjpeg: true })
+    .toBuffer();
+  return { buffer, format: "jpeg", width: W, height: H };
+}
+
+module.exports = {
+  COMPARE_MODES,
+  DEFAULT_COMPARE_MODE,
+  DEFAULT_LABELS,
+  MAX_LABEL_LENGTH,
+  parseCompareMode,
+  normalizeLabels,
+  compareBuffer,
+};
@@ -1,5 +1,12 @@
 require('dotenv').config();
 
+// Integer from the environment, or the default when unset or not a number;
+// never below min
+function intEnv(name, def, min) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isNaN(n) ? def : Math.max(min, n);
+}
+
 module.exports = {
   BOT_TOKEN: process.env.BOT_TOKEN,
   TELEGRAM_API_BASE: process.env.TELEGRAM_API_BASE || 'https://api.telegram.org',
@@ -17,4 +24,11 @@ module.exports = {
   ALBUM_AGGREGATE_MS: 1000,
   KEEP_BYTES_APPROX: process.env.KEEP_BYTES_APPROX === '1',
   KEEP_BYTES_TOL: Number(process.env.KEEP_BYTES_TOL || 0.15),
+
+  // Bot scheduler: jobs running at once across all users, worker threads for
+  // sharp (0 = run sharp in the main thread) and users served first
+  // ("123,456:2" — tier 1 unless given, everyone else 0)
+  MAX_CONCURRENT_JOBS: intEnv('MAX_CONCURRENT_JOBS', 4, 1),
+  SHARP_WORKERS: intEnv('SHARP_WORKERS', 2, 0),
+  PRIORITY_USERS: process.env.PRIORITY_USERS || '',
 };
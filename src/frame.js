@@ -0,0 +1,144 @@
+// Frame effects on the photo inside the padded canvas ("card" look):
+//   { radius, stroke, strokeColor, shadow }
+//   radius: corner radius in output pixels (0 = square)
+//   stroke: inner stroke width in pixels (0 = none); strokeColor: hex
+//   shadow: soft drop shadow cast onto the border
+const DEFAULT_RADIUS = 24;
+const DEFAULT_STROKE = 2;
+const MAX_RADIUS = 2000;
+const MAX_STROKE = 100;
+
+// Shadow geometry as fractions of the photo's short edge
+const SHADOW_OFFSET = 0.015;
+const SHADOW_BLUR = 0.02;
+const SHADOW_OPACITY = 0.45;
+
+const HEX_RE = /^#([0-9a-fA-F]{3}){1,2}$/;
+
+function hasFrame(fr) {
+  return !!fr && (fr.radius > 0 || fr.stroke > 0 || fr.shadow);
+}
+
+/**
+ * Validate a spec (from the API or the DB) and fill in defaults.
+ * Returns a clean spec or null.
+ */
+function normalizeFrame(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const radius = obj.radius === undefined ? 0 : Number(obj.radius);
+  const stroke = obj.stroke === undefined ? 0 : Number(obj.stroke);
+  const strokeColor = obj.strokeColor || "#ffffff";
+  if (!Number.isInteger(radius) || radius < 0 || radius > MAX_RADIUS) {
+    return null;
+  }
+  if (!Number.isInteger(stroke) || stroke < 0 || stroke > MAX_STROKE) {
+    return null;
+  }
+  if (!HEX_RE.test(strokeColor)) return null;
+  const fr = { radius, stroke, strokeColor, shadow: !!obj.shadow };
+  return hasFrame(fr) ? fr : null;
+}
+
+/**
+ * Parse the text form used by the bot (and accepted by the API), any order:
+ *   rounded [radius] | stroke [width] [#color] | shadow
+ * e.g. "rounded 24 shadow". Returns a spec or null.
+ */
+function parseFrame(input) {
+  const parts = Array.isArray(input)
+    ? input.map(String)
+    : String(input || "")
+        .trim()
+        .split(/\s+/);
+  const tokens = parts.map((p) => p.toLowerCase()).filter(Boolean);
+  const isNum = (t) => /^\d+$/.test(t || "");
+
+  const spec = {};
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    if (t === "rounded" || t === "round") {
+      spec.radius = isNum(tokens[i + 1]) ? Number(tokens[++i]) : DEFAULT_RADIUS;
+    } else if (t === "stroke") {
+      spec.stroke = isNum(tokens[i + 1]) ? Number(tokens[++i]) : DEFAULT_STROKE;
+      if (HEX_RE.test(tokens[i + 1] || "")) spec.strokeColor = tokens[++i];
+    } else if (t === "shadow") {
+      spec.shadow = true;
+    } else {
+      return null;
+    }
+  }
+  return normalizeFrame(spec);
+}
+
+function describeFrame(fr) {
+  if (!hasFrame(fr)) return "none";
+  const parts = [];
+  if (fr.radius) parts.push(`rounded ${fr.radius}`);
+  if (fr.stroke) parts.push(`stroke ${fr.stroke} ${fr.strokeColor}`);
+  if (fr.shadow) parts.push("shadow");
+  return parts.join(", ");
+}
+
+function svg(w, h, body) {
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">` +
+      `${body}</svg>`
+  );
+}
+
+/**
+ * Composite layers for a photo at rect = { left, top, width, height } on a
+ * Cw×Ch canvas whose padding is still transparent:
+ *   clip    dest-in mask rounding the photo's corners
+ *   shadow  dest-over, drawn under the photo before the border canvas
+ *   stroke  drawn over the photo
+ * Each is an array (empty when the effect is off).
+ */
+function frameLayers(fr, rect, Cw, Ch) {
+  const out = { clip: [], shadow: [], stroke: [] };
+  if (!hasFrame(fr)) return out;
+
+  const { left, top, width, height } = rect;
+  const short = Math.min(width, height);
+  const r = Math.min(fr.radius, Math.floor(short / 2));
+  const box = `x="${left}" y="${top}" width="${width}" height="${height}"`;
+
+  if (r > 0) {
+    const body = `<rect ${box} rx="${r}" ry="${r}" fill="#fff"/>`;
+    out.clip.push({ input: svg(Cw, Ch, body), blend: "dest-in" });
+  }
+
+  if (fr.shadow) {
+    const offset = Math.max(1, Math.round(short * SHADOW_OFFSET));
+    const blur = Math.max(1, Math.round(short * SHADOW_BLUR));
+    const body =
+      `<defs><filter id="s" x="-50%" y="-50%" width="200%" height="200%">` +
+      `<feGaussianBlur stdDeviation="${blur}"/></filter></defs>` +
+      `<rect x="${left + offset}" y="${top + offset}" width="${width}"` +
+      ` height="${height}" rx="${r}" ry="${r}" fill="#000"` +
+      ` fill-opacity="${SHADOW_OPACITY}" filter="url(#s)"/>`;
+    out.shadow.push({ input: svg(Cw, Ch, body), blend: "dest-over" });
+  }
+
+  if (fr.stroke > 0) {
+    const sw = Math.min(fr.stroke, Math.floor(short / 2));
+    const half = sw / 2;
+    const sr = Math.max(0, r - half);
+    const body =
+      `<rect x="${left + half}" y="${top + half}" width="${width - sw}"` +
+      ` height="${height - sw}" rx="${sr}" ry="${sr}" fill="none"` +
+      ` stroke="${fr.strokeColor}" stroke-width="${sw}"/>`;
+    out.stroke.push({ input: svg(Cw, Ch, body) });
+  }
+
+  return out;
+}
+
+module.exports = {
+  DEFAULT_RADIUS,
+  hasFrame,
+  normalizeFrame,
+  parseFrame,
+  describeFrame,
+  frameLayers,
+};
@@ -2,16 +2,233 @@ const axios = require("axios");
 const sharp = require("sharp");
 const { fileURLToPath } = require("url");
 const fs = require("fs/promises");
+const { KEEP_BYTES_TOL } = require("./config");
+const { DEFAULT_METADATA_POLICY, applyMetadataPolicy } = require("./metadata");
+const {
+  isBackgroundSpec,
+  describeBackground,
+  renderBackground,
+} = require("./background");
+const { renderWatermark } = require("./watermark");
+const { polaroidFrame, contrastColor, renderCaption } = require("./caption");
+const { hasFrame, frameLayers } = require("./frame");
+const {
+  PRINT_FORMATS,
+  mmToPx,
+  printPixels,
+  cropMarksLayer,
+  withDensity,
+} = require("./print");
 
-// Only accept jpeg/jpg and png
+// Output formats a user can pick; "original" keeps the input format when
+// possible
+const OUTPUT_FORMATS = ["original", "jpeg", "png", "webp", "avif"];
+
+// Formats we can write back out unchanged when "original" is requested
+const ENCODABLE_FORMATS = new Set([
+  "jpeg",
+  "png",
+  "webp",
+  "avif",
+  "tiff",
+  "gif",
+]);
+
+// Formats that can carry multiple frames (animations)
+const ANIMATED_FORMATS = new Set(["gif", "webp"]);
+
+// Formats that keep an alpha channel (GIF only as fully on/off)
+const ALPHA_FORMATS = new Set(["png", "webp", "avif", "tiff", "gif"]);
+
+// Quality bounds for lossy encoders; max is the default when not size-targeting
+const QUALITY = {
+  jpeg: { min: 40, max: 96 },
+  webp: { min: 40, max: 92 },
+  avif: { min: 25, max: 70 },
+};
+
+// Special border value: fill the padding with a blurred copy of the photo
+const BLUR_FILL = "blur";
+const DEFAULT_BLUR_SIGMA = 40;
+// The blur is computed on a downscaled canvas, then scaled back up
+// (much faster)
+const BLUR_DOWNSCALE = 8;
+
+// Special border value: fully transparent padding ("#RRGGBBAA" for partial)
+const TRANSPARENT = "transparent";
+
+// Color distance (sharp trim() threshold) for "trim existing borders"
+const DEFAULT_TRIM_THRESHOLD = 10;
+const MAX_TRIM_THRESHOLD = 100;
+
+// Special border value prefix: pick the color from the image itself
+const AUTO_COLOR = "auto";
+const AUTO_COLOR_MODES = ["edge", "dominant", "average"];
+// Size of the thumbnail used for color sampling
+const AUTO_SAMPLE_SIZE = 128;
+
+// Prebuilt libheif only ships the AV1 decoder, so HEIC (HEVC, as iPhones
+// shoot it) is only offered when this libvips was built with one
+const HEIC_DECODER = isAllowedFormat("heic");
+
+// File extensions accepted by the web upload (anything sharp may decode)
+const INPUT_EXTENSIONS = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".webp",
+  ".avif",
+  ...(HEIC_DECODER ? [".heic", ".heif"] : []),
+  ".tif",
+  ".tiff",
+  ".gif",
+];
+
+// The same, as named in messages to users
+const INPUT_FORMAT_NAMES = [
+  "JPEG",
+  "PNG",
+  "WebP",
+  "AVIF",
+  ...(HEIC_DECODER ? ["HEIC"] : []),
+  "TIFF",
+  "GIF",
+];
+
+// ISO-BMFF brands of HEVC-coded HEIF files
+const HEIC_BRANDS = new Set(["heic", "heix", "hevc", "hevx", "heim", "heis"]);
+
+function normalizeFormat(fmt) {
+  const f = String(fmt || "").toLowerCase();
+  if (f === "jpg") return "jpeg";
+  if (f === "tif") return "tiff";
+  return f;
+}
+
+// Accept every format the installed sharp/libvips can decode from a buffer
 function isAllowedFormat(fmt) {
-  return fmt === "jpeg" || fmt === "jpg" || fmt === "png";
+  const f = normalizeFormat(fmt);
+  if (f === "avif") return !!sharp.format.heif?.input?.buffer;
+  // Prebuilt libheif only ships the AV1 decoder; HEVC needs a custom libvips
+  if (f === "heic" || f === "heif") {
+    const suffixes = sharp.format.heif?.input?.fileSuffix || [];
+    return suffixes.includes(".heic") || suffixes.includes(".heif");
+  }
+  return !!sharp.format[f]?.input?.buffer;
 }
 
 function mapFormatToExt(fmt) {
   return fmt === "jpeg" ? "jpg" : fmt;
 }
 
+/**
+ * Read the real input format of a buffer.
+ * Returns null when sharp can't make sense of it.
+ * HEIF containers are reported as "avif" or "heic" depending on compression.
+ */
+async function probeInputFormat(buf) {
+  let meta;
+  try {
+    meta = await sharp(buf, { failOn: "none" }).metadata();
+  } catch {
+    return null;
+  }
+  let fmt = normalizeFormat(meta && meta.format);
+  if (fmt === "heif") fmt = meta.compression === "av1" ? "avif" : "heic";
+  return fmt && isAllowedFormat(fmt) ? fmt : null;
+}
+
+/**
+ * Whether a buffer is a HEVC-coded HEIF (iPhone HEIC), by its ftyp brand.
+ * Lets callers explain a missing decoder rather than a broken file.
+ */
+function isHeicBuffer(buf) {
+  if (!buf || buf.length < 12) return false;
+  if (buf.toString("latin1", 4, 8) !== "ftyp") return false;
+  return HEIC_BRANDS.has(buf.toString("latin1", 8, 12));
+}
+
+/**
+ * Pick the encoder for the output.
+ * Falls back to jpeg for inputs we can decode but not write (heic, raw,
+ * svg…).
+ */
+function resolveOutputFormat(inputFmt, requested) {
+  const want = normalizeFormat(requested);
+  if (want && want !== "original") return want;
+  const fmt = normalizeFormat(inputFmt);
+  return ENCODABLE_FORMATS.has(fmt) ? fmt : "jpeg";
+}
+
+// Encode sane defaults to avoid bloat
+function applyEncoder(pipeline, fmt, quality) {
+  switch (fmt) {
+    case "jpeg":
+      return pipeline.jpeg({
+        quality: quality || QUALITY.jpeg.max,
+        chromaSubsampling: "4:4:4",
+        progressive: true,
+        mozjpeg: true,
+      });
+    case "png":
+      return pipeline.png({ compressionLevel: 9 });
+    case "webp":
+      return pipeline.webp({ quality: quality || QUALITY.webp.max, effort: 5 });
+    case "avif":
+      return pipeline.avif({ quality: quality || QUALITY.avif.max, effort: 4 });
+    case "tiff":
+      return pipeline.tiff({ compression: "lzw" });
+    case "gif":
+      return pipeline.gif();
+    default:
+      return pipeline.toFormat(fmt);
+  }
+}
+
+/**
+ * Encode a pipeline, optionally searching the quality so the output lands
+ * within ±tolerance of targetBytes (binary search over QUALITY[fmt]).
+ * Lossless formats are encoded once and report quality null.
+ * Returns { buffer, quality }.
+ */
+async function encodeOutput(pipeline, fmt, { targetBytes, tolerance } = {}) {
+  const range = QUALITY[fmt];
+  if (!targetBytes || !range) {
+    const out = await applyEncoder(pipeline, fmt).toBuffer();
+    return { buffer: out, quality: range ? range.max : null };
+  }
+
+  // Each attempt encodes a clone so the input's metadata stays attached
+  const encode = (q) => applyEncoder(pipeline.clone(), fmt, q).toBuffer();
+
+  const tol = tolerance ?? KEEP_BYTES_TOL;
+  const maxBytes = targetBytes * (1 + tol);
+  const minBytes = targetBytes * (1 - tol);
+
+  // Best quality already small enough: nothing to search
+  const top = await encode(range.max);
+  if (top.length <= maxBytes) return { buffer: top, quality: range.max };
+
+  let lo = range.min,
+    hi = range.max - 1;
+  let best = null;
+  while (lo <= hi) {
+    const q = Math.floor((lo + hi) / 2);
+    const out = await encode(q);
+    if (out.length > maxBytes) {
+      hi = q - 1;
+    } else {
+      best = { buffer: out, quality: q };
+      if (out.length >= minBytes) break;
+      lo = q + 1;
+    }
+  }
+
+  // Can't get under the target even at min quality: smallest we can do
+  if (!best) best = { buffer: await encode(range.min), quality: range.min };
+  return best;
+}
+
 async function downloadFileBuffer(ctx, fileId) {
   const link = await ctx.telegram.getFileLink(fileId);
   const href = link?.href || String(link);
@@ -35,62 +252,726 @@ async function downloadFileBuffer(ctx, fileId) {
   return Buffer.from(res.data);
 }
 
-async function noCropBuffer(buf, ratio, borderHex, inputFormatHint) {
-  const base = sharp(buf, { failOn: "none" }).rotate();
-  const meta = await base.metadata();
-  const W = meta.width,
-    H = meta.height;
+function toHex({ r, g, b }) {
+  return (
+    "#" +
+    [r, g, b]
+      .map((v) => Math.max(0, Math.min(255, Math.round(v))))
+      .map((v) => v.toString(16).padStart(2, "0"))
+      .join("")
+  );
+}
+
+/**
+ * Decode an image once into EXIF-rotated raw pixels, so it can be padded to
+ * several ratios without decoding it again. Returns { data, info, meta }.
+ */
+async function decodeImage(buf) {
+  const meta = await sharp(buf, { failOn: "none" }).metadata();
+  const { data, info } = await sharp(buf, { failOn: "none" })
+    .rotate()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, info, meta };
+}
+
+// Upright sharp instance on the input: its decodeImage() pixels when given,
+// cut to crop = { left, top, width, height } (see findTrim) when given
+function openImage(buf, decoded, crop) {
+  let image;
+  if (decoded) {
+    const { width, height, channels } = decoded.info;
+    image = sharp(decoded.data, { raw: { width, height, channels } });
+  } else {
+    image = sharp(buf, { failOn: "none" }).rotate();
+  }
+  return crop ? image.extract(crop) : image;
+}
+
+/**
+ * Box of the photo inside existing uniform borders (same color as the
+ * top-left pixel, within `threshold`) of an upright image of size
+ * { width, height }. Returns { left, top, width, height }, or null when
+ * there is nothing to trim.
+ */
+async function findTrim(image, threshold, size) {
+  // sharp trims before it auto-rotates, so trim an upright copy to get
+  // offsets in the same orientation as everything else
+  const upright = await image.raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = upright.info;
+  let info;
+  try {
+    ({ info } = await sharp(upright.data, { raw: { width, height, channels } })
+      .trim({ threshold })
+      .raw()
+      .toBuffer({ resolveWithObject: true }));
+  } catch {
+    // libvips gives up when the whole image matches the border color
+    return null;
+  }
+  if (info.width === size.width && info.height === size.height) return null;
+  return {
+    left: -info.trimOffsetLeft || 0,
+    top: -info.trimOffsetTop || 0,
+    width: info.width,
+    height: info.height,
+  };
+}
+
+function isAutoColor(color) {
+  return String(color || "").startsWith(AUTO_COLOR);
+}
+
+// Border colors with an alpha below 1: "transparent" or "#RRGGBBAA"
+function isTranslucent(color) {
+  if (color === TRANSPARENT) return true;
+  const m = /^#[0-9a-f]{6}([0-9a-f]{2})$/i.exec(String(color || ""));
+  return !!m && m[1].toLowerCase() !== "ff";
+}
+
+/**
+ * Resolve an "auto[:mode]" border into a hex color sampled from the photo
+ * (an upright sharp instance, see openImage).
+ *  - edge: average of the outermost pixels (blends into the padding)
+ *  - dominant: sharp stats().dominant
+ *  - average: mean of every pixel
+ */
+async function pickAutoColor(image, color) {
+  const mode = String(color).split(":")[1] || AUTO_COLOR_MODES[0];
+  const thumb = image
+    .resize(AUTO_SAMPLE_SIZE, AUTO_SAMPLE_SIZE, { fit: "fill" })
+    .removeAlpha()
+    .toColourspace("srgb");
+
+  if (mode === "dominant") {
+    const { dominant } = await thumb.stats();
+    return toHex(dominant);
+  }
+
+  if (mode === "average") {
+    const { channels } = await thumb.stats();
+    return toHex({
+      r: channels[0].mean,
+      g: channels[1].mean,
+      b: channels[2].mean,
+    });
+  }
+
+  // edge: walk the 2px frame of the thumbnail
+  const { data, info } = await thumb
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const band = 2;
+  const sum = { r: 0, g: 0, b: 0 };
+  let n = 0;
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      const onEdge =
+        x < band ||
+        y < band ||
+        x >= info.width - band ||
+        y >= info.height - band;
+      if (!onEdge) continue;
+      const i = (y * info.width + x) * info.channels;
+      sum.r += data[i];
+      sum.g += data[i + 1];
+      sum.b += data[i + 2];
+      n++;
+    }
+  }
+  return toHex({ r: sum.r / n, g: sum.g / n, b: sum.b / n });
+}
+
+// Minimum margin in pixels: "%" is relative to the long edge
+function marginToPx(margin, W, H) {
+  if (!margin || !margin.value) return 0;
+  if (margin.unit === "%") {
+    return Math.round((Math.max(W, H) * margin.value) / 100);
+  }
+  return Math.round(margin.value);
+}
+
+// Transparent padding, filled by a canvas composited underneath ("dest-over")
+const CLEAR = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Cw×Ch canvas made of a scaled-up, heavily blurred copy of the photo
+ * (an upright sharp instance, see openImage), as a composite input
+ * ({ input, raw }).
+ */
+async function blurCanvas(image, Cw, Ch, sigma) {
+  const small = await image
+    .resize(
+      Math.max(1, Math.round(Cw / BLUR_DOWNSCALE)),
+      Math.max(1, Math.round(Ch / BLUR_DOWNSCALE)),
+      { fit: "cover" }
+    )
+    .blur(Math.max(0.3, sigma / BLUR_DOWNSCALE))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { data, info } = await sharp(small.data, {
+    raw: {
+      width: small.info.width,
+      height: small.info.height,
+      channels: small.info.channels,
+    },
+  })
+    .resize(Cw, Ch, { fit: "fill" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    input: data,
+    raw: { width: info.width, height: info.height, channels: info.channels },
+  };
+}
+
+/**
+ * Animated input is one tall strip of pages and composite() places a layer
+ * once on that strip, so flatten the layer to a full page and tile it.
+ */
+async function pageLayer(layer, Cw, Ch) {
+  const { blend, ...rest } = layer;
+  const page = await sharp({
+    create: { width: Cw, height: Ch, channels: 4, background: CLEAR },
+  })
+    .composite([rest])
+    .png()
+    .toBuffer();
+  return { input: page, tile: true, blend };
+}
+
+// Space around the photo: the margin, or the polaroid frame built from it
+function photoFrame(opts, W, H) {
+  const m = marginToPx(opts.margin, W, H);
+  return opts.polaroid
+    ? polaroidFrame(W, H, m)
+    : { top: m, left: m, right: m, bottom: m };
+}
+
+/**
+ * Oriented size of an image (one frame for animations), or null if sharp
+ * can't read it. With opts.trim / opts.margin / opts.polaroid (as for
+ * noCropBuffer) it is the size noCropBuffer fits to the ratio: trimmed, plus
+ * the margin or polaroid frame.
+ */
+async function probeImageSize(buf, opts = {}) {
+  let meta;
+  try {
+    meta = await sharp(buf, { failOn: "none" }).metadata();
+  } catch {
+    return null;
+  }
+  const animated =
+    (meta.pages || 1) > 1 &&
+    ANIMATED_FORMATS.has(normalizeFormat(meta.format || ""));
+  const size =
+    !animated && (meta.orientation || 1) >= 5
+      ? { width: meta.height, height: meta.width }
+      : { width: meta.width, height: meta.height };
+
+  const crop =
+    opts.trim && !animated
+      ? await findTrim(openImage(buf), opts.trim, size)
+      : null;
+  const W = crop ? crop.width : size.width,
+    H = crop ? crop.height : size.height;
+  const frame = photoFrame(opts, W, H);
+  return {
+    width: W + frame.left + frame.right,
+    height: H + frame.top + frame.bottom,
+  };
+}
+
+/**
+ * Resolve an "auto" ratio (see parseAutoRatio in state.js) to the candidate
+ * that adds the least border, as a fraction of the canvas, summed over sizes
+ * ([{ width, height }]: one image, or a whole album for a uniform look).
+ * Ties go to the candidate listed first. Other ratios are returned as is.
+ */
+function pickAutoRatio(ratio, sizes) {
+  if (!ratio || !ratio.auto) return ratio;
+  let best = ratio.candidates[0];
+  let bestWaste = Infinity;
+  for (const c of ratio.candidates) {
+    const r = c.w / c.h;
+    const waste = sizes.reduce((sum, { width, height }) => {
+      const a = width / height;
+      return sum + 1 - Math.min(a / r, r / a);
+    }, 0);
+    if (waste < bestWaste - 1e-9) {
+      best = c;
+      bestWaste = waste;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pad an image to the target ratio without scaling. Ratios carrying an exact
+ * size (platform presets, "1080x1350", physical sizes in print mode) are
+ * scaled to it together with the padding. An "auto" ratio is resolved per
+ * image (pickAutoRatio), counting the margin/polaroid frame as part of the
+ * photo. Everything runs in one pipeline on the input, so its metadata can be
+ * kept according to opts.metadata.
+ * borderHex: a color ("#RRGGBBAA" or TRANSPARENT for see-through padding;
+ *   formats without alpha are then written as PNG), BLUR_FILL to pad with a
+ *   blurred copy of the photo,
+ *   "auto[:edge|dominant|average]" to sample the color from the photo,
+ *   or a background spec object (see background.js).
+ * opts.format: one of OUTPUT_FORMATS (default "original").
+ * opts.blur: blur sigma for BLUR_FILL (default DEFAULT_BLUR_SIGMA).
+ * opts.align: { x, y } placement as fractions of the free space (default
+ *   centered).
+ * opts.margin: { value, unit } minimum border on every side, unit "%" (of the
+ *   long edge) or "px"; applies even with the "original" ratio.
+ * opts.keepBytes: aim for the input byte size (KEEP_BYTES_APPROX).
+ * opts.targetBytes: explicit byte target, wins over keepBytes.
+ * opts.tolerance: allowed relative deviation (default KEEP_BYTES_TOL).
+ * opts.metadata: "keep" | "keep-no-gps" | "strip"; unset, outputs that are
+ *   re-encoded get DEFAULT_METADATA_POLICY and an unchanged input is
+ *   returned as is.
+ * opts.watermark: watermark spec drawn into the border (see watermark.js);
+ *   skipped when nothing is padded.
+ * opts.polaroid: { caption, align, color } frames the photo polaroid-style
+ *   (see caption.js) and writes the caption into the bottom band.
+ * opts.frame: rounded corners / inner stroke / drop shadow on the photo
+ *   (see frame.js); skipped when nothing is padded.
+ * opts.trim: threshold (sharp trim()) to strip existing uniform borders
+ *   before padding; 0/undefined = off. Still images only.
+ * opts.print: { dpi, bleed, marks } print mode (see print.js): physical
+ *   ratios ("10x15cm") get their pixel size from the DPI, the canvas grows by
+ *   the bleed with crop marks drawn in it, and the DPI is written into the
+ *   file (formats that can't carry it become JPEG or PNG). Still images only.
+ * opts.decoded: the input's decodeImage() result, to skip decoding it again
+ *   (still images with the "strip" policy only; raw pixels carry no
+ *   metadata or ICC profile).
+ * Animated GIF/WebP input (pages > 1) is padded frame by frame, keeping the
+ * delays and loop count; the output stays GIF or WebP. Blur fill and auto
+ * colors are taken from the first frame.
+ * Returns { buffer, format, width, height, pages, ratio, color, quality,
+ * switchedFrom, trimmed } where width/height are per frame, ratio the key of
+ * the ratio applied, color is the border actually used (null when nothing was
+ * padded), quality the encoder quality picked (null for lossless formats or
+ * untouched input), switchedFrom the requested format when transparent
+ * padding forced PNG instead (else null) and trimmed the pixels removed by
+ * opts.trim as { top, right, bottom, left } (null when nothing was).
+ */
+async function noCropBuffer(buf, ratio, borderHex, inputFormatHint, opts = {}) {
+  const { decoded } = opts;
+  // Read without `animated`, so width/height are those of one frame
+  const meta = decoded
+    ? decoded.meta
+    : await sharp(buf, { failOn: "none" }).metadata();
+  const pages = meta.pages || 1;
+  const animated =
+    !decoded &&
+    pages > 1 &&
+    ANIMATED_FORMATS.has(normalizeFormat(meta.format || ""));
+
+  // EXIF orientations 5-8 swap width/height once rotate() is applied
+  // (decoded pixels are upright already)
+  const swap = !animated && (meta.orientation || 1) >= 5;
+  const size = decoded
+    ? decoded.info
+    : {
+        width: swap ? meta.height : meta.width,
+        height: swap ? meta.width : meta.height,
+      };
 
-  // normalize and restrict to jpeg/png
-  let fmt = (inputFormatHint || meta.format || "jpeg").toLowerCase();
-  if (fmt === "jpg") fmt = "jpeg";
-  if (!isAllowedFormat(fmt)) {
-    fmt = "jpeg";
+  // Existing uniform borders are cut off first; from here on the photo is
+  // the trimmed one
+  const crop =
+    opts.trim && !animated
+      ? await findTrim(openImage(buf, decoded), opts.trim, size)
+      : null;
+  const trimmed = crop && {
+    top: crop.top,
+    right: size.width - crop.left - crop.width,
+    bottom: size.height - crop.top - crop.height,
+    left: crop.left,
+  };
+  const W = crop ? crop.width : size.width,
+    H = crop ? crop.height : size.height;
+  const source = () => openImage(buf, decoded, crop);
+
+  // Animations have no EXIF orientation; their frames are stacked vertically
+  const base = animated
+    ? sharp(buf, { failOn: "none", animated: true })
+    : source();
+
+  const inFmt = normalizeFormat(inputFormatHint || meta.format || "jpeg");
+  let fmt = resolveOutputFormat(inFmt, opts.format);
+  // Only GIF and WebP can carry the frames; other targets keep the input's
+  if (animated && !ANIMATED_FORMATS.has(fmt))
+    fmt = normalizeFormat(meta.format);
+  const outPages = animated ? pages : 1;
+  const print = (!animated && opts.print) || null;
+  const target = {
+    targetBytes: opts.targetBytes || (opts.keepBytes ? buf.length : 0),
+    tolerance: opts.tolerance,
+  };
+
+  const policy = opts.metadata || DEFAULT_METADATA_POLICY;
+  const m = marginToPx(opts.margin, W, H);
+  // Polaroid mode widens the margin into a frame with a caption band
+  const frame = photoFrame(opts, W, H);
+  // The margin (or frame) is reserved first, then the ratio is solved
+  const Mw = W + frame.left + frame.right,
+    Mh = H + frame.top + frame.bottom;
+  ratio = pickAutoRatio(ratio, [{ width: Mw, height: Mh }]);
+  // Physical sizes become an exact pixel size at the print DPI
+  if (print && ratio && ratio.size) {
+    ratio = { ...ratio, ...printPixels(ratio.size, print.dpi) };
   }
+  const noRatio = !ratio || ratio.key === "original" || !ratio.w || !ratio.h;
+  const ratioKey = noRatio ? "original" : ratio.key;
 
-  if (!ratio || ratio.key === "original" || !ratio.w || !ratio.h) {
-    return { buffer: buf, format: fmt, width: W, height: H };
+  if (noRatio && !m && !opts.polaroid && !print) {
+    // The untouched input is only acceptable when all of its metadata may
+    // stay, or no policy was chosen (see metadata.js)
+    if (fmt === inFmt && (policy === "keep" || !opts.metadata) && !crop) {
+      return {
+        buffer: buf,
+        format: fmt,
+        width: W,
+        height: H,
+        pages: outPages,
+        ratio: ratioKey,
+        color: null,
+        quality: null,
+        switchedFrom: null,
+        trimmed: null,
+      };
+    }
+    const { buffer: out, quality } = await encodeOutput(
+      applyMetadataPolicy(base, policy, meta),
+      fmt,
+      target
+    );
+    return {
+      buffer: out,
+      format: fmt,
+      width: W,
+      height: H,
+      pages: outPages,
+      ratio: ratioKey,
+      color: null,
+      quality,
+      switchedFrom: null,
+      trimmed,
+    };
   }
 
-  const r = ratio.w / ratio.h;
-  let Cw = Math.max(W, Math.ceil(r * H));
-  let Ch = Math.ceil(Cw / r);
-  if (Ch < H) {
-    Ch = H;
-    Cw = Math.ceil(r * Ch);
+  let Cw = Mw,
+    Ch = Mh;
+  if (!noRatio) {
+    const r = ratio.w / ratio.h;
+    Cw = Math.max(Mw, Math.ceil(r * Mh));
+    Ch = Math.ceil(Cw / r);
+    if (Ch < Mh) {
+      Ch = Mh;
+      Cw = Math.ceil(r * Ch);
+    }
   }
 
-  const left = Math.floor((Cw - W) / 2);
-  const right = Cw - W - left;
-  const top = Math.floor((Ch - H) / 2);
-  const bottom = Ch - H - top;
+  const ax = opts.align ? opts.align.x : 0.5;
+  const ay = opts.align ? opts.align.y : 0.5;
+  let left = frame.left + Math.floor((Cw - Mw) * ax);
+  let top = frame.top + Math.floor((Ch - Mh) * ay);
+
+  // Exact-size targets: scale the photo and its padding by the same factor,
+  // since sharp resizes before it extends
+  let pipeline = base;
+  let pw = W,
+    ph = H,
+    sy = 1;
+  if (!noRatio && ratio.width && ratio.height) {
+    const sx = ratio.width / Cw;
+    sy = ratio.height / Ch;
+    pw = Math.min(ratio.width, Math.max(1, Math.round(W * sx)));
+    ph = Math.min(ratio.height, Math.max(1, Math.round(H * sy)));
+    left = Math.min(Math.round(left * sx), ratio.width - pw);
+    top = Math.min(Math.round(top * sy), ratio.height - ph);
+    Cw = ratio.width;
+    Ch = ratio.height;
+    pipeline = pipeline.resize(pw, ph, { fit: "fill", kernel: "lanczos3" });
+  }
+  let right = Cw - pw - left;
+  let bottom = Ch - ph - top;
 
-  let pipeline = base.extend({
-    top,
-    bottom,
-    left,
-    right,
-    background: borderHex,
+  // Print bleed: the border runs on past the trim box on every side
+  const bleed = print ? mmToPx(print.bleed, print.dpi) : 0;
+  if (bleed) {
+    top += bleed;
+    right += bleed;
+    bottom += bleed;
+    left += bleed;
+    Cw += 2 * bleed;
+    Ch += 2 * bleed;
+  }
+
+  // Auto colors are computed per image, never stored
+  const bg = isBackgroundSpec(borderHex) ? borderHex : null;
+  let color = borderHex;
+  if (bg) {
+    color = bg.type === "solid" ? bg.color : describeBackground(bg);
+  } else if (isAutoColor(borderHex)) {
+    color = await pickAutoColor(source(), borderHex);
+  }
+
+  // See-through padding needs an encoder with alpha
+  const translucent = !bg && isTranslucent(color);
+  let switchedFrom = null;
+  if (translucent && !ALPHA_FORMATS.has(fmt)) {
+    switchedFrom = fmt;
+    fmt = "png";
+  }
+  if (print && !PRINT_FORMATS.has(fmt)) {
+    fmt = translucent || meta.hasAlpha ? "png" : "jpeg";
+  }
+
+  // sharp keeps only the last composite() call, so collect every layer
+  const layers = [];
+  const photoRect = { left, top, width: pw, height: ph };
+  const fx = frameLayers(opts.frame, photoRect, Cw, Ch);
+  if (
+    (bg && bg.type !== "solid") ||
+    color === BLUR_FILL ||
+    hasFrame(opts.frame)
+  ) {
+    // Canvas backgrounds are drawn underneath transparent padding, so are
+    // solid borders when the frame needs to see through the photo's corners
+    const canvasBg = bg || { type: "solid", color };
+    const canvas =
+      color === BLUR_FILL
+        ? await blurCanvas(source(), Cw, Ch, opts.blur || DEFAULT_BLUR_SIGMA)
+        : { input: await renderBackground(canvasBg, Cw, Ch) };
+    pipeline = pipeline.extend({ top, bottom, left, right, background: CLEAR });
+    layers.push(
+      ...fx.clip,
+      ...fx.shadow,
+      { ...canvas, blend: "dest-over" },
+      ...fx.stroke
+    );
+  } else {
+    pipeline = pipeline.extend({
+      top,
+      bottom,
+      left,
+      right,
+      background: color,
+    });
+  }
+
+  if (opts.polaroid) {
+    const band = {
+      left,
+      top: top + ph,
+      width: pw,
+      height: Math.min(Math.round(frame.bottom * sy), bottom - bleed),
+    };
+    layers.push(
+      ...renderCaption(opts.polaroid.caption, band, {
+        align: opts.polaroid.align,
+        color: opts.polaroid.color || contrastColor(color),
+      })
+    );
+  }
+
+  // The watermark is placed within the trim box, so it can't be cut off
+  const pad = {
+    top: top - bleed,
+    bottom: bottom - bleed,
+    left: left - bleed,
+    right: right - bleed,
+  };
+  const wmLayers = await renderWatermark(
+    opts.watermark,
+    Cw - 2 * bleed,
+    Ch - 2 * bleed,
+    pad
+  );
+  layers.push(
+    ...wmLayers.map((l) => ({ ...l, left: l.left + bleed, top: l.top + bleed }))
+  );
+  if (print && print.marks) {
+    layers.push(
+      ...cropMarksLayer(Cw, Ch, bleed, contrastColor(color), print.dpi)
+    );
+  }
+
+  if (layers.length) {
+    pipeline = pipeline.composite(
+      animated
+        ? await Promise.all(layers.map((l) => pageLayer(l, Cw, Ch)))
+        : layers
+    );
+    if (!meta.hasAlpha && !translucent) pipeline = pipeline.removeAlpha();
+  }
+
+  pipeline = print
+    ? await withDensity(pipeline, print.dpi, policy, meta)
+    : applyMetadataPolicy(pipeline, policy, meta);
+
+  const { buffer: out, quality } = await encodeOutput(pipeline, fmt, target);
+  return {
+    buffer: out,
+    format: fmt,
+    width: Cw,
+    height: Ch,
+    pages: outPages,
+    ratio: ratioKey,
+    color,
+    quality,
+    switchedFrom,
+    trimmed,
+  };
+}
+
+/**
+ * Pad one image to several ratios (a ratio list, see parseRatioList in
+ * state.js) with the same borderHex/opts as noCropBuffer. The input is
+ * decoded once and auto colors are picked once (unless trimming), except for
+ * animations and the keep / keep-no-gps metadata policies: those need the
+ * original file every time, so each output gets the same metadata (and ICC
+ * profile) as a single one would.
+ * Returns one noCropBuffer result per ratio, in order.
+ */
+async function multiRatioBuffers(
+  buf,
+  ratios,
+  borderHex,
+  inputFormatHint,
+  opts = {}
+) {
+  let decoded = null;
+  const policy = opts.metadata || DEFAULT_METADATA_POLICY;
+  if (ratios.length > 1 && policy === "strip") {
+    const meta = await sharp(buf, { failOn: "none" }).metadata();
+    if ((meta.pages || 1) === 1) decoded = await decodeImage(buf);
+  }
+  // Trimming changes what the color is sampled from, so leave it per pass
+  if (isAutoColor(borderHex) && !opts.trim) {
+    borderHex = await pickAutoColor(openImage(buf, decoded), borderHex);
+  }
+
+  const results = [];
+  for (const ratio of ratios) {
+    results.push(
+      await noCropBuffer(buf, ratio, borderHex, inputFormatHint, {
+        ...opts,
+        decoded,
+      })
+    );
+  }
+  return results;
+}
+
+// Carousel tiles: Instagram carousels and Telegram albums take up to 10 items
+const MIN_CAROUSEL = 2;
+const MAX_CAROUSEL = 10;
+
+/**
+ * Split a wide image into `count` tiles of the target ratio for a seamless
+ * carousel. The image is padded (same borderHex/opts as noCropBuffer) to a
+ * strip `count` tiles wide, so border only lands where the photo doesn't fill
+ * the strip, then the strip is cut into tiles left to right.
+ * Tiles are equal up to a pixel when the strip width isn't divisible.
+ * Returns { tiles: [{ buffer, width, height }], format, color, switchedFrom,
+ * trimmed } (see noCropBuffer).
+ */
+async function carouselBuffers(
+  buf,
+  ratio,
+  count,
+  borderHex,
+  inputFormatHint,
+  opts = {}
+) {
+  const strip = {
+    key: `${count}x${ratio.key}`,
+    w: ratio.w * count,
+    h: ratio.h,
+  };
+  if (ratio.width && ratio.height) {
+    strip.width = ratio.width * count;
+    strip.height = ratio.height;
+  }
+
+  // Pad once, losslessly; each tile is encoded in the requested format.
+  // Print bleed would land inside the strip, so print mode doesn't apply
+  const padded = await noCropBuffer(buf, strip, borderHex, inputFormatHint, {
+    ...opts,
+    print: null,
+    format: "png",
+    keepBytes: false,
+    targetBytes: 0,
   });
+  const inFmt = normalizeFormat(inputFormatHint || "jpeg");
+  let fmt = resolveOutputFormat(inFmt, opts.format);
+  let switchedFrom = null;
+  if (isTranslucent(padded.color) && !ALPHA_FORMATS.has(fmt)) {
+    switchedFrom = fmt;
+    fmt = "png";
+  }
+  const policy = opts.metadata || DEFAULT_METADATA_POLICY;
+  // The policy works from the input's metadata, not the intermediate strip's
+  const meta = await sharp(buf, { failOn: "none" }).metadata();
 
-  // Encode sane defaults to avoid bloat
-  if (fmt === "jpeg") {
-    pipeline = pipeline.jpeg({
-      quality: 96,
-      chromaSubsampling: "4:4:4",
-      progressive: true,
-      mozjpeg: true,
+  const tiles = [];
+  for (let i = 0; i < count; i++) {
+    const left = Math.round((i * padded.width) / count);
+    const width = Math.round(((i + 1) * padded.width) / count) - left;
+    const tile = sharp(padded.buffer).extract({
+      left,
+      top: 0,
+      width,
+      height: padded.height,
     });
-  } else if (fmt === "png") {
-    pipeline = pipeline.png({ compressionLevel: 9 });
+    const { buffer } = await encodeOutput(
+      applyMetadataPolicy(tile, policy, meta),
+      fmt
+    );
+    tiles.push({ buffer, width, height: padded.height });
   }
 
-  const out = await pipeline.toBuffer();
-  return { buffer: out, format: fmt, width: Cw, height: Ch };
+  return {
+    tiles,
+    format: fmt,
+    color: padded.color,
+    switchedFrom,
+    trimmed: padded.trimmed,
+  };
 }
 
 module.exports = {
+  OUTPUT_FORMATS,
+  BLUR_FILL,
+  TRANSPARENT,
+  DEFAULT_BLUR_SIGMA,
+  DEFAULT_TRIM_THRESHOLD,
+  MAX_TRIM_THRESHOLD,
+  AUTO_COLOR,
+  AUTO_COLOR_MODES,
+  INPUT_EXTENSIONS,
+  INPUT_FORMAT_NAMES,
+  HEIC_DECODER,
+  isHeicBuffer,
+  isAutoColor,
+  isTranslucent,
+  pickAutoColor,
+  isAllowedFormat,
+  probeInputFormat,
+  resolveOutputFormat,
   mapFormatToExt,
   downloadFileBuffer,
+  probeImageSize,
+  pickAutoRatio,
   noCropBuffer,
+  multiRatioBuffers,
+  MIN_CAROUSEL,
+  MAX_CAROUSEL,
+  carouselBuffers,
 };
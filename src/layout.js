@@ -0,0 +1,171 @@
+const sharp = require("sharp");
+const { renderBackground } = require("./background");
+
+// Multi-image layouts (web /api/layout) and the before/after comparison
+// (compare.js) share the cell math and the canvas they are composited onto.
+
+// Valid layout types
+const VALID_LAYOUT_TYPES = [
+  "2-horizontal",
+  "2-vertical",
+  "3-row",
+  "3-column",
+  "3-left",
+  "3-right",
+];
+
+/**
+ * Calculate cell positions for each layout type
+ */
+function calculateCellPositions(layoutType, width, height) {
+  const w = Math.round(width);
+  const h = Math.round(height);
+
+  switch (layoutType) {
+    case "2-horizontal":
+      return [
+        { x: 0, y: 0, width: Math.round(w / 2), height: h },
+        { x: Math.round(w / 2), y: 0, width: Math.round(w / 2), height: h },
+      ];
+
+    case "2-vertical":
+      return [
+        { x: 0, y: 0, width: w, height: Math.round(h / 2) },
+        { x: 0, y: Math.round(h / 2), width: w, height: Math.round(h / 2) },
+      ];
+
+    case "3-row":
+      return [
+        { x: 0, y: 0, width: Math.round(w / 3), height: h },
+        { x: Math.round(w / 3), y: 0, width: Math.round(w / 3), height: h },
+        {
+          x: Math.round((2 * w) / 3),
+          y: 0,
+          width: Math.round(w / 3),
+          height: h,
+        },
+      ];
+
+    case "3-column":
+      return [
+        { x: 0, y: 0, width: w, height: Math.round(h / 3) },
+        { x: 0, y: Math.round(h / 3), width: w, height: Math.round(h / 3) },
+        {
+          x: 0,
+          y: Math.round((2 * h) / 3),
+          width: w,
+          height: Math.round(h / 3),
+        },
+      ];
+
+    case "3-left":
+      return [
+        { x: 0, y: 0, width: Math.round(w / 2), height: h },
+        {
+          x: Math.round(w / 2),
+          y: 0,
+          width: Math.round(w / 2),
+          height: Math.round(h / 2),
+        },
+        {
+          x: Math.round(w / 2),
+          y: Math.round(h / 2),
+          width: Math.round(w / 2),
+          height: Math.round(h / 2),
+        },
+      ];
+
+    case "3-right":
+      return [
+        {
+          x: 0,
+          y: 0,
+          width: Math.round(w / 2),
+          height: Math.round(h / 2),
+        },
+        {
+          x: 0,
+          y: Math.round(h / 2),
+          width: Math.round(w / 2),
+          height: Math.round(h / 2),
+        },
+        { x: Math.round(w / 2), y: 0, width: Math.round(w / 2), height: h },
+      ];
+
+    default:
+      throw new Error(`Unknown layout type: ${layoutType}`);
+  }
+}
+
+/**
+ * Process image with zoom and fit to cell
+ * Keep original quality, only crop/position as needed
+ */
+async function processImageForCell(imageBuffer, cell, zoom) {
+  const { width: cellWidth, height: cellHeight } = cell;
+
+  // Get original image metadata (no downscale)
+  const metadata = await sharp(imageBuffer).metadata();
+  const { width: imgWidth, height: imgHeight } = metadata;
+
+  // Calculate aspect ratios
+  const cellRatio = cellWidth / cellHeight;
+  const imageRatio = imgWidth / imgHeight;
+
+  // Calculate dimensions to fill cell (keeping original quality)
+  let targetWidth, targetHeight;
+
+  if (imageRatio > cellRatio) {
+    // Image is wider - fit to height, then zoom
+    targetHeight = Math.round(cellHeight * zoom);
+    targetWidth = Math.round(targetHeight * imageRatio);
+  } else {
+    // Image is taller - fit to width, then zoom
+    targetWidth = Math.round(cellWidth * zoom);
+    targetHeight = Math.round(targetWidth / imageRatio);
+  }
+
+  // Resize and crop to exact cell size
+  // Sharp will keep quality as high as possible
+  const processedImage = sharp(imageBuffer)
+    .resize(targetWidth, targetHeight, {
+      fit: "cover",
+      position: "centre",
+      kernel: "lanczos3", // High quality resampling
+    })
+    .extract({
+      left: Math.max(0, Math.round((targetWidth - cellWidth) / 2)),
+      top: Math.max(0, Math.round((targetHeight - cellHeight) / 2)),
+      width: cellWidth,
+      height: cellHeight,
+    });
+
+  return processedImage.toBuffer();
+}
+
+/**
+ * Base canvas for a layout: a background spec (see background.js) when
+ * given, else a solid backgroundColor ("#RRGGBB", default white).
+ * Returns a sharp instance ready for composite().
+ */
+async function layoutCanvas(width, height, { background, backgroundColor }) {
+  if (background) {
+    return sharp(await renderBackground(background, width, height));
+  }
+  const bgColor = backgroundColor || "#FFFFFF";
+  const bgRgb = {
+    r: parseInt(bgColor.slice(1, 3), 16),
+    g: parseInt(bgColor.slice(3, 5), 16),
+    b: parseInt(bgColor.slice(5, 7), 16),
+  };
+  return sharp({
+    create: { width, height, channels: 3, background: bgRgb },
+  });
+}
+
+module.exports = {
+  VALID_LAYOUT_TYPES,
+  calculateCellPositions,
+  processImageForCell,
+  layoutCanvas,
+};
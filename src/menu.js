@@ -0,0 +1,145 @@
+const { Markup } = require("telegraf");
+const {
+  OUTPUT_FORMATS,
+  BLUR_FILL,
+  TRANSPARENT,
+  AUTO_COLOR,
+} = require("./image");
+const { METADATA_POLICIES } = require("./metadata");
+
+// Inline-keyboard settings menu behind /settings. Callback data is
+// "set:<kind>[:<value>]":
+//   set:menu:<name>   open a sub-menu (main, ratio, platform, color, output)
+//   set:ratio:<key>   set:color:<value>   set:format:<f>   set:metadata:<p>
+//   set:done          drop the keyboard
+const MENU_PREFIX = "set";
+const MENUS = ["main", "ratio", "platform", "color", "output"];
+
+// Rows of at most three, so every button stays thumb-sized on a phone
+const ROW = 3;
+
+// Border colors offered as buttons (anything else: /color)
+const MENU_COLORS = [
+  { label: "Black", value: "#000000" },
+  { label: "White", value: "#ffffff" },
+  { label: "Gray", value: "#808080" },
+  { label: "Blur", value: BLUR_FILL },
+  { label: "Auto", value: `${AUTO_COLOR}:edge` },
+  { label: "Transparent", value: TRANSPARENT },
+];
+
+function data(kind, value) {
+  return value === undefined
+    ? `${MENU_PREFIX}:${kind}`
+    : `${MENU_PREFIX}:${kind}:${value}`;
+}
+
+function rows(buttons, size = ROW) {
+  const out = [];
+  for (let i = 0; i < buttons.length; i += size) {
+    out.push(buttons.slice(i, i + size));
+  }
+  return out;
+}
+
+// Current choice gets a check mark
+function option(label, kind, value, selected) {
+  return Markup.button.callback(
+    selected ? `✓ ${label}` : label,
+    data(kind, value)
+  );
+}
+
+const back = () => [Markup.button.callback("‹ Back", data("menu", "main"))];
+
+/**
+ * Inline keyboard for one menu, marking the user's current settings.
+ * presets: the PRESETS map from state.js (plain ratios first, then platforms).
+ */
+function settingsKeyboard(menu, st, presets) {
+  switch (menu) {
+    case "ratio": {
+      const plain = [...presets.values()].filter((p) => !p.width);
+      return Markup.inlineKeyboard([
+        ...rows(
+          plain.map((p) =>
+            option(p.key, "ratio", p.key, st.ratio.key === p.key)
+          )
+        ),
+        [
+          option("Auto", "ratio", "auto", st.ratio.key === "auto"),
+          Markup.button.callback("Platforms ›", data("menu", "platform")),
+        ],
+        back(),
+      ]);
+    }
+
+    case "platform": {
+      // Platform names are long: two per row
+      const platforms = [...presets.values()].filter((p) => p.width);
+      return Markup.inlineKeyboard([
+        ...rows(
+          platforms.map((p) =>
+            option(p.key, "ratio", p.key, st.ratio.key === p.key)
+          ),
+          2
+        ),
+        [Markup.button.callback("‹ Ratios", data("menu", "ratio"))],
+      ]);
+    }
+
+    case "color":
+      return Markup.inlineKeyboard([
+        ...rows(
+          MENU_COLORS.map((c) =>
+            option(
+              c.label,
+              "color",
+              c.value,
+              !st.background && st.color === c.value
+            )
+          )
+        ),
+        back(),
+      ]);
+
+    case "output":
+      return Markup.inlineKeyboard([
+        ...rows(
+          OUTPUT_FORMATS.map((f) => option(f, "format", f, st.format === f))
+        ),
+        METADATA_POLICIES.map((p) =>
+          option(p, "metadata", p, st.metadata === p)
+        ),
+        back(),
+      ]);
+
+    case "main":
+    default:
+      return Markup.inlineKeyboard([
+        [
+          Markup.button.callback("Ratio ›", data("menu", "ratio")),
+          Markup.button.callback("Border ›", data("menu", "color")),
+          Markup.button.callback("Output ›", data("menu", "output")),
+        ],
+        [Markup.button.callback("Done", data("done"))],
+      ]);
+  }
+}
+
+/**
+ * Split callback data into { kind, value }, or null when it isn't ours.
+ * Values may contain ":" (ratios like "4:5", "auto:edge").
+ */
+function parseMenuData(str) {
+  const m = String(str || "").match(/^set:([a-z]+)(?::(.+))?$/);
+  return m ? { kind: m[1], value: m[2] } : null;
+}
+
+module.exports = {
+  MENU_PREFIX,
+  MENUS,
+  MENU_COLORS,
+  settingsKeyboard,
+  parseMenuData,
+};
@@ -0,0 +1,167 @@
+// Metadata policies applied to every output:
+//   keep         all EXIF/ICC/XMP/IPTC from the input (GPS included)
+//   keep-no-gps  allow-listed camera/copyright EXIF + ICC (no GPS, XMP, maker notes)
+//   strip        nothing kept; pixels converted to sRGB (sharp's default)
+// With no policy chosen (null), re-encoded outputs get DEFAULT_METADATA_POLICY
+// but an input that needs no change at all is returned as it came, metadata
+// included, as before policies existed.
+const METADATA_POLICIES = ["keep", "keep-no-gps", "strip"];
+const DEFAULT_METADATA_POLICY = "strip";
+
+// EXIF tags kept by keep-no-gps, by IFD as named by sharp's withExif()
+// (IFD0 = main image, IFD2 = Exif sub-IFD). Names follow libexif.
+const KEEP_TAGS = {
+  IFD0: {
+    0x010e: "ImageDescription",
+    0x010f: "Make",
+    0x0110: "Model",
+    0x0131: "Software",
+    0x0132: "DateTime",
+    0x013b: "Artist",
+    0x8298: "Copyright",
+  },
+  IFD2: {
+    0x829a: "ExposureTime",
+    0x829d: "FNumber",
+    0x8822: "ExposureProgram",
+    0x8827: "ISOSpeedRatings",
+    0x9003: "DateTimeOriginal",
+    0x9004: "DateTimeDigitized",
+    0x9204: "ExposureBiasValue",
+    0x9207: "MeteringMode",
+    0x9209: "Flash",
+    0x920a: "FocalLength",
+    0xa405: "FocalLengthIn35mmFilm",
+    0xa431: "BodySerialNumber",
+    0xa432: "LensSpecification",
+    0xa433: "LensMake",
+    0xa434: "LensModel",
+  },
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+
+// Byte size of one component per TIFF type
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// The policy, or what applies while none was chosen
+function describeMetadataPolicy(policy) {
+  return (
+    policy || `default (${DEFAULT_METADATA_POLICY}, unchanged files as is)`
+  );
+}
+
+function parseMetadataPolicy(input) {
+  const p = String(input || "")
+    .trim()
+    .toLowerCase()
+    .replace(/_/g, "-");
+  if (p === "nogps" || p === "no-gps") return "keep-no-gps";
+  return METADATA_POLICIES.includes(p) ? p : null;
+}
+
+/**
+ * Read one IFD of a TIFF block into { name: value } for the allow-listed tags.
+ * Values are formatted the way libvips expects them back in withExif():
+ * text as-is, numbers space-separated, rationals as "num/den".
+ */
+function readIfd(tiff, offset, le, names) {
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const i32 = (o) => (le ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+
+  const tags = {};
+  let exifOffset = null;
+  const count = u16(offset);
+
+  for (let i = 0; i < count; i++) {
+    const e = offset + 2 + i * 12;
+    if (e + 12 > tiff.length) break;
+    const tag = u16(e),
+      type = u16(e + 2),
+      n = u32(e + 4);
+
+    if (tag === EXIF_IFD_POINTER) exifOffset = u32(e + 8);
+    const name = names && names[tag];
+    if (!name || !TYPE_SIZE[type] || type === 7) continue;
+
+    const size = TYPE_SIZE[type] * n;
+    const at = size <= 4 ? e + 8 : u32(e + 8);
+    if (at + size > tiff.length) continue;
+
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const o = at + k * TYPE_SIZE[type];
+      if (type === 1 || type === 2) values.push(tiff[o]);
+      else if (type === 3) values.push(u16(o));
+      else if (type === 4) values.push(u32(o));
+      else if (type === 9) values.push(i32(o));
+      else if (type === 5) values.push(`${u32(o)}/${u32(o + 4)}`);
+      else if (type === 10) values.push(`${i32(o)}/${i32(o + 4)}`);
+    }
+
+    const value =
+      type === 2
+        ? Buffer.from(values).toString("latin1").replace(/\0+$/, "").trim()
+        : values.join(" ");
+    if (value) tags[name] = value;
+  }
+
+  return { tags, exifOffset };
+}
+
+/**
+ * Extract the allow-listed EXIF tags from sharp's metadata().exif buffer.
+ * Returns { IFD0: {...}, IFD2: {...} } ready for withExif(), or null.
+ */
+function readKeptExif(exif) {
+  if (!exif || exif.length < 14) return null;
+  try {
+    // sharp hands us the APP1 payload: "Exif\0\0" + TIFF block
+    const start = exif.toString("latin1", 0, 4) === "Exif" ? 6 : 0;
+    const tiff = exif.subarray(start);
+    const le = tiff.toString("latin1", 0, 2) === "II";
+    const ifd0At = le ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+
+    const ifd0 = readIfd(tiff, ifd0At, le, KEEP_TAGS.IFD0);
+    const ifd2 = ifd0.exifOffset
+      ? readIfd(tiff, ifd0.exifOffset, le, KEEP_TAGS.IFD2)
+      : { tags: {} };
+
+    const out = {};
+    if (Object.keys(ifd0.tags).length) out.IFD0 = ifd0.tags;
+    if (Object.keys(ifd2.tags).length) out.IFD2 = ifd2.tags;
+    return Object.keys(out).length ? out : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Apply a metadata policy to a sharp pipeline built on the input image.
+ * meta is the input's metadata() (for its EXIF block).
+ */
+function applyMetadataPolicy(pipeline, policy, meta) {
+  switch (policy) {
+    case "keep":
+      return pipeline.keepMetadata();
+    case "keep-no-gps": {
+      const exif = readKeptExif(meta && meta.exif);
+      pipeline = pipeline.keepIccProfile();
+      return exif ? pipeline.withExif(exif) : pipeline;
+    }
+    case "strip":
+    default:
+      // No keep* call: sharp drops everything and converts to sRGB
+      return pipeline;
+  }
+}
+
+module.exports = {
+  METADATA_POLICIES,
+  DEFAULT_METADATA_POLICY,
+  describeMetadataPolicy,
+  parseMetadataPolicy,
+  readKeptExif,
+  applyMetadataPolicy,
+};
@@ -6,10 +6,21 @@ const JobLogSchema = new mongoose.Schema(
     userId: { type: String, index: true },
     type: {
       type: String,
-      enum: ["photo", "album", "document"],
+      enum: [
+        "photo",
+        "album",
+        "document",
+        "animation",
+        "carousel",
+        "unpad",
+        "compare",
+        "redo",
+      ],
       required: true,
     },
-    count: { type: Number, default: 1 },
+    count: { type: Number, default: 1 }, // images processed
+    // "cancelled": dropped from the queue (/cancel) or stopped part-way
+    status: { type: String, enum: ["done", "cancelled"], default: "done" },
     bytes: { type: Number, default: 0 },
     ms: { type: Number, default: 0 },
     createdAt: { type: Date, default: Date.now },
@@ -27,6 +38,7 @@ async function addJobLog(data) {
 
 async function summaryStats() {
   const total = await JobLog.countDocuments({});
+  const cancelled = await JobLog.countDocuments({ status: "cancelled" });
   const agg = await JobLog.aggregate([
     {
       $group: {
@@ -37,7 +49,7 @@ async function summaryStats() {
       },
     },
   ]);
-  return { total, ...agg[0] };
+  return { total, cancelled, ...agg[0] };
 }
 
 module.exports = { JobLog, addJobLog, summaryStats };
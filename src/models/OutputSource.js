@@ -0,0 +1,56 @@
+const { mongoose } = require("../db");
+
+// Results are kept re-processable for this long after they were sent
+const SOURCE_TTL_DAYS = 30;
+
+const OutputSourceSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // "<chatId>:<messageId>" of a result the bot sent
+    userId: { type: String },
+    fileId: { type: String, required: true }, // Telegram file_id of the input
+    fileName: { type: String }, // name hint for the re-processed file
+    caption: { type: String, default: "" }, // input caption (polaroid mode)
+    expiresAt: { type: Date },
+  },
+  { versionKey: false }
+);
+
+OutputSourceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OutputSource =
+  mongoose.models.OutputSource ||
+  mongoose.model("OutputSource", OutputSourceSchema);
+
+function sourceKey(chatId, messageId) {
+  return `${chatId}:${messageId}`;
+}
+
+/**
+ * Record the input behind result messages (one input can produce several,
+ * e.g. a ratio list sent as an album).
+ */
+async function saveOutputSources(chatId, messageIds, data) {
+  const expiresAt = new Date(Date.now() + SOURCE_TTL_DAYS * 864e5);
+  await OutputSource.bulkWrite(
+    messageIds.map((messageId) => ({
+      replaceOne: {
+        filter: { _id: sourceKey(chatId, messageId) },
+        replacement: { ...data, expiresAt },
+        upsert: true,
+      },
+    }))
+  );
+}
+
+/** Input behind a result message, or null */
+async function findOutputSource(chatId, messageId) {
+  return await OutputSource.findById(sourceKey(chatId, messageId)).lean();
+}
+
+module.exports = {
+  OutputSource,
+  SOURCE_TTL_DAYS,
+  sourceKey,
+  saveOutputSources,
+  findOutputSource,
+};
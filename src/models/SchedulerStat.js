@@ -0,0 +1,57 @@
+const os = require("os");
+const { mongoose } = require("../db");
+
+// Each bot process reports its scheduler load here for scripts/monitor.js;
+// a report that stops being refreshed expires
+const STAT_TTL_MS = 60 * 1000;
+
+const SchedulerStatSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // "<hostname>:<pid>"
+    running: { type: Number, default: 0 }, // jobs running now
+    queued: { type: Number, default: 0 }, // jobs waiting, all users
+    users: { type: Number, default: 0 }, // users with jobs running or waiting
+    maxConcurrency: { type: Number },
+    avgWaitMs: { type: Number, default: 0 }, // recent enqueue -> start time
+    oldestWaitMs: { type: Number, default: 0 }, // longest-waiting job so far
+    pool: { type: mongoose.Schema.Types.Mixed }, // poolStats() of pool.js
+    updatedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date },
+  },
+  { versionKey: false }
+);
+
+SchedulerStatSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SchedulerStat =
+  mongoose.models.SchedulerStat ||
+  mongoose.model("SchedulerStat", SchedulerStatSchema);
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/** Replace this process's report */
+async function reportSchedulerStat(stats) {
+  const now = new Date();
+  await SchedulerStat.replaceOne(
+    { _id: INSTANCE_ID },
+    {
+      ...stats,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + STAT_TTL_MS),
+    },
+    { upsert: true }
+  );
+}
+
+/** Reports still fresh (TTL removal can lag by a minute) */
+async function listSchedulerStats() {
+  return await SchedulerStat.find({ expiresAt: { $gt: new Date() } })
+    .sort({ _id: 1 })
+    .lean();
+}
+
+module.exports = {
+  SchedulerStat,
+  reportSchedulerStat,
+  listSchedulerStats,
+};
@@ -3,8 +3,20 @@ const { mongoose } = require("../db");
 const UserConfigSchema = new mongoose.Schema(
   {
     _id: { type: String }, // Telegram user ID
-    ratio: { type: String, default: "4:5" }, // store as "w:h" or "original"
-    color: { type: String, default: "#000000" },
+    ratio: { type: String, default: "4:5" }, // "w:h", "WxH", "10x15cm", preset name, "original", a list "1:1,4:5" or "auto[:list][ uniform]"
+    color: { type: String, default: "#000000" }, // hex (#RRGGBBAA with alpha), "transparent", "blur" or "auto:<mode>"
+    blur: { type: Number, default: 40 }, // blur sigma when color is "blur"
+    background: { type: mongoose.Schema.Types.Mixed, default: null }, // gradient/pattern/image spec
+    format: { type: String, default: "original" }, // "original" | jpeg | png | webp | avif
+    align: { type: String, default: "center" }, // anchor name or "x,y" fractions
+    margin: { type: String, default: "0" }, // "5%" of long edge or "40px"
+    metadata: { type: String, default: null }, // keep | keep-no-gps | strip; null = not chosen
+    watermark: { type: mongoose.Schema.Types.Mixed, default: null }, // text/logo spec
+    polaroid: { type: String, default: "off" }, // "off" or caption alignment
+    frame: { type: mongoose.Schema.Types.Mixed, default: null }, // radius/stroke/shadow
+    trim: { type: Number, default: 0 }, // border trim tolerance, 0 = off
+    print: { type: mongoose.Schema.Types.Mixed, default: null }, // dpi/bleed (mm)/marks
+    preset: { type: String, default: null }, // active UserPreset name, null once changed
     updatedAt: { type: Date, default: Date.now },
   },
   { versionKey: false }
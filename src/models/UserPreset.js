@@ -0,0 +1,84 @@
+const crypto = require("crypto");
+const { mongoose } = require("../db");
+
+const UserPresetSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true }, // Telegram user ID
+    name: { type: String, required: true }, // lowercase, unique per user
+    settings: { type: mongoose.Schema.Types.Mixed, required: true }, // UserConfig fields (ratio, color, …)
+    shareCode: { type: String, required: true, unique: true }, // see genShareCode
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+UserPresetSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const UserPreset =
+  mongoose.models.UserPreset || mongoose.model("UserPreset", UserPresetSchema);
+
+// No 0/O, 1/I/L: codes get read out and typed on phones
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 8;
+
+function genShareCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return [...bytes]
+    .map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length])
+    .join("");
+}
+
+/**
+ * Create or overwrite a user's preset. An overwritten preset keeps its share
+ * code, so teammates importing it later get the new settings.
+ */
+async function savePreset(userId, name, settings) {
+  const id = String(userId);
+  const existing = await UserPreset.findOne({ userId: id, name });
+  if (existing) {
+    existing.settings = settings;
+    existing.updatedAt = new Date();
+    return await existing.save();
+  }
+  return await UserPreset.create({
+    userId: id,
+    name,
+    settings,
+    shareCode: genShareCode(),
+  });
+}
+
+async function findPreset(userId, name) {
+  return await UserPreset.findOne({ userId: String(userId), name });
+}
+
+async function findPresetByCode(shareCode) {
+  return await UserPreset.findOne({ shareCode });
+}
+
+async function listPresets(userId) {
+  return await UserPreset.find({ userId: String(userId) }).sort({ name: 1 });
+}
+
+async function countPresets(userId) {
+  return await UserPreset.countDocuments({ userId: String(userId) });
+}
+
+// Returns true if a preset was deleted
+async function deletePreset(userId, name) {
+  const res = await UserPreset.deleteOne({ userId: String(userId), name });
+  return res.deletedCount > 0;
+}
+
+module.exports = {
+  UserPreset,
+  CODE_LENGTH,
+  genShareCode,
+  savePreset,
+  findPreset,
+  findPresetByCode,
+  listPresets,
+  countPresets,
+  deletePreset,
+};
@@ -0,0 +1,133 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { SHARP_WORKERS } = require("./config");
+const { log } = require("./logger");
+const {
+  noCropBuffer,
+  multiRatioBuffers,
+  carouselBuffers,
+  probeImageSize,
+} = require("./image");
+const { compareBuffer } = require("./compare");
+
+// Heavy sharp pipelines run in a pool of worker threads (worker.js), so the
+// bot's event loop keeps answering updates while images are encoded. Tasks
+// wait in FIFO order for a free worker; with SHARP_WORKERS=0 they run in the
+// main thread instead.
+const TASKS = {
+  noCropBuffer,
+  multiRatioBuffers,
+  carouselBuffers,
+  compareBuffer,
+  probeImageSize,
+};
+
+const WORKER_FILE = path.join(__dirname, "worker.js");
+const workers = []; // [{ worker, task }] task: the one it is running, or null
+const waiting = []; // [{ id, name, args, resolve, reject, queuedAt }]
+let nextId = 1;
+
+/**
+ * Buffers cross threads as plain Uint8Arrays; turn them back into Buffers
+ * (in place, any depth) since the image code relies on Buffer methods.
+ */
+function reviveBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.isBuffer(value)
+      ? value
+      : Buffer.from(value.buffer, value.byteOffset, value.length);
+  }
+  if (Array.isArray(value)) return value.map(reviveBuffers);
+  if (value && typeof value === "object") {
+    for (const key of Object.keys(value))
+      value[key] = reviveBuffers(value[key]);
+  }
+  return value;
+}
+
+function spawnWorker() {
+  const w = { worker: new Worker(WORKER_FILE), task: null };
+
+  w.worker.on("message", ({ result, error }) => {
+    const task = w.task;
+    w.task = null;
+    w.worker.unref();
+    if (error) {
+      const err = new Error(error.message);
+      err.stack = error.stack;
+      task.reject(err);
+    } else {
+      task.resolve(reviveBuffers(result));
+    }
+    dispatch();
+  });
+
+  // A crashed worker fails its task and is replaced on the next dispatch.
+  // Not every death comes with an "error" (OOM kill, exit in native code),
+  // so "exit" settles a task still in flight too.
+  w.worker.on("error", (err) => {
+    log("error", "sharp worker crashed", { error: err.message });
+    if (w.task) w.task.reject(err);
+    w.task = null;
+  });
+  w.worker.on("exit", (code) => {
+    if (w.task) {
+      log("error", "sharp worker exited mid-task", { code });
+      w.task.reject(new Error(`Image worker exited (code ${code})`));
+      w.task = null;
+    }
+    const i = workers.indexOf(w);
+    if (i !== -1) workers.splice(i, 1);
+    dispatch();
+  });
+
+  workers.push(w);
+  return w;
+}
+
+function dispatch() {
+  while (waiting.length) {
+    let w = workers.find((x) => !x.task);
+    if (!w && workers.length < SHARP_WORKERS) w = spawnWorker();
+    if (!w) return;
+
+    const task = waiting.shift();
+    w.task = task;
+    // Idle workers don't keep the process alive
+    w.worker.ref();
+    w.worker.postMessage({ id: task.id, name: task.name, args: task.args });
+  }
+}
+
+/**
+ * Run TASKS[name](...args) on a worker thread and resolve with its result.
+ * Arguments and results must be plain data (buffers, objects, strings…).
+ */
+function runTask(name, ...args) {
+  if (!TASKS[name]) throw new Error(`Unknown pool task: ${name}`);
+  if (SHARP_WORKERS <= 0) return TASKS[name](...args);
+
+  return new Promise((resolve, reject) => {
+    waiting.push({
+      id: nextId++,
+      name,
+      args,
+      resolve,
+      reject,
+      queuedAt: Date.now(),
+    });
+    dispatch();
+  });
+}
+
+// Pool load for the monitor: { workers, busy, queued, oldestWaitMs }
+function poolStats() {
+  return {
+    workers: workers.length,
+    busy: workers.filter((w) => w.task).length,
+    queued: waiting.length,
+    oldestWaitMs: waiting.length ? Date.now() - waiting[0].queuedAt : 0,
+  };
+}
+
+module.exports = { TASKS, reviveBuffers, runTask, poolStats };
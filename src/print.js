@@ -0,0 +1,245 @@
+const sharp = require("sharp");
+const { readKeptExif } = require("./metadata");
+
+// Print mode: a ratio given as a physical size ("4x6in", "10x15cm", "A4")
+// is laid out at a target DPI, optionally with a bleed (the border carried on
+// past the trim edge, for the printer to cut into) and crop marks in it.
+//   { dpi, bleed, marks }
+//   dpi: output resolution, also written into the file's density metadata
+//   bleed: per side, in mm (0 = none); marks: draw crop marks in the bleed
+const DEFAULT_DPI = 300;
+const MIN_DPI = 72;
+const MAX_DPI = 1200;
+const MAX_BLEED_MM = 20;
+// Crop marks need room outside the trim box
+const DEFAULT_MARKS_BLEED_MM = 3;
+// Longest output side in pixels, bleed included
+const MAX_PRINT_SIDE = 10000;
+// Physical sizes are capped at about A0's long edge
+const MAX_PRINT_MM = 1200;
+
+// Only these encoders carry DPI; other targets are written as JPEG (or PNG
+// when the border is see-through)
+const PRINT_FORMATS = new Set(["jpeg", "png", "tiff"]);
+
+const MM_PER_UNIT = { in: 25.4, cm: 10, mm: 1 };
+
+// Common paper sizes, portrait
+const PAPER_SIZES = new Map([
+  ["a3", { width: 297, height: 420, unit: "mm" }],
+  ["a4", { width: 210, height: 297, unit: "mm" }],
+  ["a5", { width: 148, height: 210, unit: "mm" }],
+  ["a6", { width: 105, height: 148, unit: "mm" }],
+  ["letter", { width: 8.5, height: 11, unit: "in" }],
+  ["legal", { width: 8.5, height: 14, unit: "in" }],
+]);
+
+function toMm(value, unit) {
+  return value * MM_PER_UNIT[unit];
+}
+
+function mmToPx(mm, dpi) {
+  return Math.round((mm / 25.4) * dpi);
+}
+
+/**
+ * Parse a physical size: "4x6in", "10x15cm", "210x297mm" or a paper name
+ * ("a4", "letter"). Returns { key, w, h, size: { width, height, unit } } or
+ * null; w/h keep the ratio, so without print mode it pads like "4:6".
+ */
+function parsePhysicalSize(input) {
+  const key = String(input || "")
+    .trim()
+    .toLowerCase();
+  if (PAPER_SIZES.has(key)) {
+    const size = PAPER_SIZES.get(key);
+    return { key, w: size.width, h: size.height, size };
+  }
+
+  const m = key.match(/^(\d*\.?\d+)\s*x\s*(\d*\.?\d+)\s*(in|cm|mm)$/);
+  if (!m) return null;
+  const width = Number(m[1]),
+    height = Number(m[2]),
+    unit = m[3];
+  if (!width || !height || width / height > 20 || height / width > 20) {
+    return null;
+  }
+  if (Math.max(toMm(width, unit), toMm(height, unit)) > MAX_PRINT_MM) {
+    return null;
+  }
+  return {
+    key: `${width}x${height}${unit}`,
+    w: width,
+    h: height,
+    size: { width, height, unit },
+  };
+}
+
+// Length in mm from "3mm", "0.125in", "0.3cm" or a bare number (mm)
+function parseLength(input) {
+  const m = String(input ?? "")
+    .trim()
+    .toLowerCase()
+    .match(/^(\d*\.?\d+)\s*(in|cm|mm)?$/);
+  if (!m) return null;
+  return toMm(Number(m[1]), m[2] || "mm");
+}
+
+/**
+ * Validate a spec (from the API or the DB) and fill in defaults.
+ * Returns a clean spec or null.
+ */
+function normalizePrint(obj) {
+  if (!obj || typeof obj !== "object") return null;
+  const dpi = obj.dpi === undefined ? DEFAULT_DPI : Number(obj.dpi);
+  const marks = !!obj.marks;
+  let bleed = obj.bleed === undefined ? 0 : parseLength(obj.bleed);
+  if (!Number.isInteger(dpi) || dpi < MIN_DPI || dpi > MAX_DPI) return null;
+  if (bleed === null || bleed > MAX_BLEED_MM) return null;
+  if (marks && !bleed) bleed = DEFAULT_MARKS_BLEED_MM;
+  return { dpi, bleed: Math.round(bleed * 100) / 100, marks };
+}
+
+/**
+ * Parse the text form used by the bot (and accepted by the API), any order:
+ *   <size> | <dpi>[dpi] | bleed <length> | marks
+ * e.g. "10x15cm 300dpi bleed 3mm marks". The size is optional.
+ * Returns { size, print } (size from parsePhysicalSize, or null) or null.
+ */
+function parsePrint(input) {
+  const parts = Array.isArray(input)
+    ? input.map(String)
+    : String(input || "")
+        .trim()
+        .split(/\s+/);
+  const tokens = parts.map((p) => p.toLowerCase()).filter(Boolean);
+
+  let size = null;
+  const spec = {};
+  for (let i = 0; i < tokens.length; i++) {
+    const t = tokens[i];
+    const dpi = t.match(/^(\d+)(?:dpi)?$/);
+    if (t === "marks" || t === "cropmarks") {
+      spec.marks = true;
+    } else if (t === "bleed") {
+      if (tokens[i + 1] === undefined) return null;
+      spec.bleed = tokens[++i];
+    } else if (dpi) {
+      spec.dpi = Number(dpi[1]);
+    } else if (!size && parsePhysicalSize(t)) {
+      size = parsePhysicalSize(t);
+    } else {
+      return null;
+    }
+  }
+  const print = normalizePrint(spec);
+  return print ? { size, print } : null;
+}
+
+function describePrint(pr) {
+  if (!pr) return "off";
+  const parts = [`${pr.dpi} dpi`];
+  if (pr.bleed) parts.push(`${pr.bleed}mm bleed`);
+  if (pr.marks) parts.push("crop marks");
+  return parts.join(", ");
+}
+
+/**
+ * Pixel size of the trim box for a physical ratio at the given DPI,
+ * as { width, height }.
+ */
+function printPixels(size, dpi) {
+  return {
+    width: Math.max(1, mmToPx(toMm(size.width, size.unit), dpi)),
+    height: Math.max(1, mmToPx(toMm(size.height, size.unit), dpi)),
+  };
+}
+
+/**
+ * Whether every physical size in a ratio (or its list / auto candidates)
+ * stays within MAX_PRINT_SIDE at this print spec. Other ratios take their
+ * size from the photo, so they always pass.
+ */
+function fitsPrint(ratio, pr) {
+  if (!pr || !ratio) return true;
+  const bleed = 2 * mmToPx(pr.bleed, pr.dpi);
+  return (ratio.ratios || ratio.candidates || [ratio]).every((r) => {
+    if (!r.size) return true;
+    const { width, height } = printPixels(r.size, pr.dpi);
+    return Math.max(width, height) + bleed <= MAX_PRINT_SIDE;
+  });
+}
+
+/**
+ * Composite layer with crop marks on a Cw×Ch canvas whose trim box is inset
+ * by `bleed` px: short lines in the bleed, in line with the trim edges and
+ * kept clear of the trim box by a small gap.
+ */
+function cropMarksLayer(Cw, Ch, bleed, color, dpi) {
+  if (bleed < 4) return [];
+  // About 0.25pt, the usual hairline for crop marks
+  const sw = Math.max(1, Math.round(dpi / 288));
+  const gap = Math.max(1, Math.round(bleed / 4));
+  const len = bleed - gap;
+  const x = [bleed, Cw - bleed],
+    y = [bleed, Ch - bleed];
+
+  const lines = [];
+  for (const cx of x) {
+    lines.push([cx, 0, cx, len], [cx, Ch - len, cx, Ch]);
+  }
+  for (const cy of y) {
+    lines.push([0, cy, len, cy], [Cw - len, cy, Cw, cy]);
+  }
+  const body = lines
+    .map(
+      ([x1, y1, x2, y2]) =>
+        `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`
+    )
+    .join("");
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${Cw}" height="${Ch}">` +
+    `<g stroke="${color}" stroke-width="${sw}">${body}</g></svg>`;
+  return [{ input: Buffer.from(svg), left: 0, top: 0 }];
+}
+
+/**
+ * Apply the metadata policy (see metadata.js) along with the DPI. sharp only
+ * writes density through withMetadata({ density }), which keeps all of the
+ * input's metadata too, so "keep" uses it on the pipeline itself and the
+ * other policies on its rendered pixels, which carry none ("keep-no-gps"
+ * gets its allow-listed EXIF back). libvips then writes the same resolution
+ * into the EXIF and the JFIF/pHYs/TIFF header; the output is sRGB.
+ */
+async function withDensity(pipeline, dpi, policy, meta) {
+  if (policy === "keep") return pipeline.withMetadata({ density: dpi });
+
+  const { data, info } = await pipeline
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  const out = sharp(data, { raw: { width, height, channels } }).withMetadata({
+    density: dpi,
+  });
+  const exif = policy === "keep-no-gps" && readKeptExif(meta && meta.exif);
+  return exif ? out.withExif(exif) : out;
+}
+
+module.exports = {
+  DEFAULT_DPI,
+  MIN_DPI,
+  MAX_DPI,
+  MAX_BLEED_MM,
+  MAX_PRINT_SIDE,
+  PRINT_FORMATS,
+  PAPER_SIZES,
+  mmToPx,
+  parsePhysicalSize,
+  normalizePrint,
+  parsePrint,
+  describePrint,
+  printPixels,
+  fitsPrint,
+  cropMarksLayer,
+  withDensity,
+};
@@ -0,0 +1,232 @@
+const { MAX_CONCURRENT_JOBS, PRIORITY_USERS, MONGO_URI } = require("./config");
+const { log } = require("./logger");
+const { addJobLog } = require("./models/JobLog");
+const { reportSchedulerStat } = require("./models/SchedulerStat");
+const { poolStats } = require("./pool");
+
+// Global job scheduler for the bot. Each user's jobs run one at a time and
+// in order; across users at most MAX_CONCURRENT_JOBS run at once. A free
+// slot goes to the highest priority tier with work waiting, and within a
+// tier to the user served least recently (round-robin), so one big album
+// can't hold everyone else up.
+//
+// Jobs are descriptors, so /queue can list them and /cancel drop them:
+//   { traceId, type, count, enqueuedAt, startedAt, cancelled, run(job) }
+// type is a JobLog type; count the number of images. run() gets its own
+// descriptor and may stop between images once `cancelled` is set.
+const userQueues = new Map(); // userId -> [job] waiting
+const userRunning = new Map(); // userId -> job running now
+const lastServed = new Map(); // userId -> turn number of its last start
+let turn = 0;
+
+// Per-image time for ETAs until real jobs have been measured
+const DEFAULT_ITEM_MS = 4000;
+let avgItemMs = DEFAULT_ITEM_MS;
+let avgWaitMs = 0;
+
+const STATS_INTERVAL_MS = 10 * 1000;
+
+/**
+ * PRIORITY_USERS "123,456:2" -> Map(userId -> tier); a bare id is tier 1.
+ * Users not listed are tier 0.
+ */
+function parsePriorityTiers(str) {
+  const tiers = new Map();
+  for (const part of String(str || "").split(",")) {
+    const [id, tier] = part.trim().split(":");
+    if (!id) continue;
+    const n = tier === undefined ? 1 : parseInt(tier, 10);
+    if (Number.isInteger(n)) tiers.set(id, n);
+  }
+  return tiers;
+}
+
+const PRIORITY_TIERS = parsePriorityTiers(PRIORITY_USERS);
+
+function userTier(userId) {
+  return PRIORITY_TIERS.get(String(userId)) || 0;
+}
+
+function enqueueJob(userId, run, { traceId, type, count = 1 }) {
+  const id = String(userId);
+  const q = userQueues.get(id) || [];
+  q.push({
+    traceId,
+    type,
+    count,
+    enqueuedAt: Date.now(),
+    startedAt: null,
+    cancelled: false,
+    run,
+  });
+  userQueues.set(id, q);
+  schedule();
+  return q.length; // position
+}
+
+// Next user to get a slot: waiting work, nothing running, best tier, then
+// served longest ago (never served counts as longest)
+function pickUser() {
+  let best = null;
+  for (const [id, q] of userQueues) {
+    if (!q.length || userRunning.has(id)) continue;
+    const tier = userTier(id);
+    const served = lastServed.get(id) || 0;
+    if (
+      !best ||
+      tier > best.tier ||
+      (tier === best.tier && served < best.served)
+    ) {
+      best = { id, tier, served };
+    }
+  }
+  return best && best.id;
+}
+
+function schedule() {
+  while (userRunning.size < MAX_CONCURRENT_JOBS) {
+    const id = pickUser();
+    if (!id) return;
+    const job = userQueues.get(id).shift();
+    lastServed.set(id, ++turn);
+    runJob(id, job);
+  }
+}
+
+async function runJob(id, job) {
+  job.startedAt = Date.now();
+  userRunning.set(id, job);
+  avgWaitMs = Math.round(
+    0.8 * avgWaitMs + 0.2 * (job.startedAt - job.enqueuedAt)
+  );
+  try {
+    await job.run(job);
+    if (!job.cancelled) {
+      // Moving average, so ETAs follow the current load
+      const perItem = (Date.now() - job.startedAt) / job.count;
+      avgItemMs = Math.round(0.8 * avgItemMs + 0.2 * perItem);
+    }
+  } catch (e) {
+    log("error", "job failed", {
+      userId: id,
+      err: String(e?.message || e),
+    });
+  } finally {
+    userRunning.delete(id);
+    if (!(userQueues.get(id) || []).length) {
+      userQueues.delete(id);
+      lastServed.delete(id);
+    }
+    schedule();
+  }
+}
+
+/**
+ * A user's running job and waiting ones, with the estimated ms until each
+ * waiting job starts ({ running, waiting: [{ ...job, startsInMs }] }).
+ * With more active users than slots, every job is assumed to take its
+ * round-robin share longer.
+ */
+function userQueueStatus(userId) {
+  const id = String(userId);
+  const running = userRunning.get(id) || null;
+  const users = new Set([...userQueues.keys(), ...userRunning.keys()]).size;
+  const share = Math.max(1, users / MAX_CONCURRENT_JOBS);
+
+  let startsInMs;
+  if (running) {
+    const elapsed = Date.now() - running.startedAt;
+    startsInMs = Math.max(0, running.count * avgItemMs - elapsed);
+  } else {
+    // Waiting for a slot to free up
+    startsInMs = userRunning.size >= MAX_CONCURRENT_JOBS ? avgItemMs : 0;
+  }
+  const waiting = (userQueues.get(id) || []).map((job) => {
+    const entry = { ...job, startsInMs };
+    startsInMs += job.count * avgItemMs * share;
+    return entry;
+  });
+  return { running, waiting, doneInMs: startsInMs };
+}
+
+/**
+ * Drop a user's waiting jobs and ask the running one to stop after its
+ * current image. With Mongo, each dropped job is logged as cancelled (the
+ * running one logs itself). Returns { dropped, running } (running: the job
+ * stopping).
+ */
+async function cancelUserJobs(userId) {
+  const id = String(userId);
+  const dropped = userQueues.get(id) || [];
+  userQueues.delete(id);
+  const running = userRunning.get(id) || null;
+  if (running) running.cancelled = true;
+
+  if (!MONGO_URI) return { dropped, running };
+  for (const job of dropped) {
+    try {
+      await addJobLog({
+        _id: job.traceId,
+        userId: id,
+        type: job.type,
+        count: 0,
+        status: "cancelled",
+      });
+    } catch (err) {
+      log("warn", "cancelled job not logged", {
+        traceId: job.traceId,
+        error: err.message,
+      });
+    }
+  }
+  return { dropped, running };
+}
+
+/**
+ * Load across all users: { running, queued, users, maxConcurrency,
+ * avgWaitMs, oldestWaitMs, pool }.
+ */
+function schedulerStats() {
+  const now = Date.now();
+  let queued = 0,
+    oldestWaitMs = 0;
+  for (const q of userQueues.values()) {
+    queued += q.length;
+    if (q.length) oldestWaitMs = Math.max(oldestWaitMs, now - q[0].enqueuedAt);
+  }
+  return {
+    running: userRunning.size,
+    queued,
+    users: new Set([...userQueues.keys(), ...userRunning.keys()]).size,
+    maxConcurrency: MAX_CONCURRENT_JOBS,
+    avgWaitMs,
+    oldestWaitMs,
+    pool: poolStats(),
+  };
+}
+
+/**
+ * Report schedulerStats() to Mongo every STATS_INTERVAL_MS for
+ * scripts/monitor.js. Without Mongo there is nowhere to report to.
+ */
+function startStatsReporter() {
+  if (!MONGO_URI) return null;
+  const timer = setInterval(async () => {
+    try {
+      await reportSchedulerStat(schedulerStats());
+    } catch (err) {
+      log("warn", "scheduler stats not reported", { error: err.message });
+    }
+  }, STATS_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  enqueueJob,
+  userQueueStatus,
+  cancelUserJobs,
+  schedulerStats,
+  startStatsReporter,
+  parsePriorityTiers,
+};
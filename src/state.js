@@ -3,6 +3,31 @@ const {
   getOrCreateUserConfig,
   updateUserConfig,
 } = require("./models/UserConfig");
+const {
+  genShareCode,
+  savePreset,
+  findPreset,
+  findPresetByCode,
+  listPresets,
+  countPresets,
+  deletePreset,
+} = require("./models/UserPreset");
+const {
+  OUTPUT_FORMATS,
+  BLUR_FILL,
+  TRANSPARENT,
+  DEFAULT_BLUR_SIGMA,
+  DEFAULT_TRIM_THRESHOLD,
+  MAX_TRIM_THRESHOLD,
+  AUTO_COLOR,
+  AUTO_COLOR_MODES,
+} = require("./image");
+const { normalizeBackground, describeBackground } = require("./background");
+const { describeMetadataPolicy, parseMetadataPolicy } = require("./metadata");
+const { normalizeWatermark, describeWatermark } = require("./watermark");
+const { CAPTION_ALIGNS } = require("./caption");
+const { normalizeFrame, describeFrame } = require("./frame");
+const { parsePhysicalSize, normalizePrint, describePrint } = require("./print");
 
 const PERSIST = !!MONGO_URI; // if no Mongo, fallback to in-memory only
 
@@ -20,39 +45,387 @@ const PRESETS = new Map([
   ["2:3", { key: "2:3", w: 2, h: 3 }],
 ]);
 
-// In-memory cache: userId -> { ratio: {key,w,h}, color: '#xxxxxx' }
+// Platform presets: ratio plus the exact output size the platform recommends
+const PLATFORM_PRESETS = [
+  { key: "instagram-square", w: 1, h: 1, width: 1080, height: 1080 },
+  { key: "instagram-portrait", w: 4, h: 5, width: 1080, height: 1350 },
+  { key: "instagram-landscape", w: 1080, h: 566, width: 1080, height: 566 },
+  { key: "instagram-story", w: 9, h: 16, width: 1080, height: 1920 },
+  { key: "x-post", w: 16, h: 9, width: 1600, height: 900 },
+  { key: "facebook-post", w: 1200, h: 630, width: 1200, height: 630 },
+  { key: "facebook-cover", w: 820, h: 312, width: 820, height: 312 },
+  { key: "pinterest", w: 2, h: 3, width: 1000, height: 1500 },
+  { key: "youtube-thumbnail", w: 16, h: 9, width: 1280, height: 720 },
+];
+for (const p of PLATFORM_PRESETS) PRESETS.set(p.key, p);
+
+// A comma-separated list ("1:1,4:5,9:16") pads every image to each ratio
+const MAX_RATIOS = 5;
+
+// "auto" picks, per image, the candidate ratio that adds the least border.
+// Without a list the candidates are the plain ratio presets; platform presets
+// also resize, so they're only used when listed explicitly.
+const AUTO_RATIO = "auto";
+const AUTO_RATIO_CANDIDATES = [...PRESETS.values()].filter(
+  (p) => p.w && p.h && !p.width
+);
+
+// "WxH" with both sides at least this big is a pixel size, not a ratio
+const MIN_PIXEL_SIZE = 100;
+const MAX_PIXEL_SIZE = 10000;
+
+// Photo placement inside the padded canvas, as fractions of the free space
+// (x: 0 = flush left, 1 = flush right; y: 0 = flush top, 1 = flush bottom)
+const ALIGNS = new Map([
+  ["center", { key: "center", x: 0.5, y: 0.5 }],
+  ["top", { key: "top", x: 0.5, y: 0 }],
+  ["bottom", { key: "bottom", x: 0.5, y: 1 }],
+  ["left", { key: "left", x: 0, y: 0.5 }],
+  ["right", { key: "right", x: 1, y: 0.5 }],
+  ["top-left", { key: "top-left", x: 0, y: 0 }],
+  ["top-right", { key: "top-right", x: 1, y: 0 }],
+  ["bottom-left", { key: "bottom-left", x: 0, y: 1 }],
+  ["bottom-right", { key: "bottom-right", x: 1, y: 1 }],
+]);
+
+// In-memory cache: userId -> state
+//   ratio: {key,w,h[,width,height]}, an auto ratio or a ratio list; color: '#xxxxxx', 'blur' or 'auto:<mode>'; blur: sigma
+//   background: gradient/pattern/image spec overriding color, or null
+//   format; align: {key,x,y}; margin: {key,value,unit}
+//   metadata: "keep" | "keep-no-gps" | "strip", or null if never chosen; watermark: spec or null
+//   polaroid: "off" or the caption alignment ("left" | "center" | "right")
+//   frame: rounded corners / stroke / shadow spec, or null
+//   trim: tolerance for stripping existing borders first (0 = off)
+//   print: { dpi, bleed, marks } print mode spec, or null
+//   preset: name of the preset last applied, or null once anything changes
 const cache = new Map();
 
+// Named setting bundles ("feed", "story"); names are lowercase, unique per user
+const MAX_PRESETS = 20;
+const PRESET_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Without Mongo, presets live in memory too: userId -> Map(name -> preset),
+// and shareCode -> preset for imports
+const memoryPresets = new Map();
+const memoryCodes = new Map();
+
+/**
+ * Parse a ratio: preset name ("4:5", "instagram-portrait"), integer or decimal
+ * ratio ("16:9", "1.91:1", "16x9"), an exact pixel size ("1080x1350"),
+ * a physical size ("10x15cm", "a4"; see parsePhysicalSize in print.js),
+ * "auto[…]" (see parseAutoRatio) or a comma list (see parseRatioList).
+ * Results with width/height are padded to the ratio, then resized to that size.
+ */
 function parseRatio(input) {
   const key = String(input || "")
     .trim()
     .toLowerCase();
   if (PRESETS.has(key)) return PRESETS.get(key);
-  const m = key.match(/^(\d+)\s*[:x]\s*(\d+)$/i);
+  if (key.startsWith(AUTO_RATIO)) return parseAutoRatio(key);
+  if (key.includes(",")) return parseRatioList(key);
+  const physical = parsePhysicalSize(key);
+  if (physical) return physical;
+
+  const px = key.match(/^(\d+)\s*x\s*(\d+)$/);
+  if (px) {
+    const width = parseInt(px[1], 10),
+      height = parseInt(px[2], 10);
+    if (
+      Math.min(width, height) >= MIN_PIXEL_SIZE &&
+      Math.max(width, height) <= MAX_PIXEL_SIZE
+    ) {
+      return { key: `${width}x${height}`, w: width, h: height, width, height };
+    }
+  }
+
+  const m = key.match(/^(\d*\.?\d+)\s*[:x]\s*(\d*\.?\d+)$/);
   if (!m) return null;
-  const w = parseInt(m[1], 10),
-    h = parseInt(m[2], 10);
-  if (!w || !h) return null;
+  const w = Number(m[1]),
+    h = Number(m[2]);
+  if (!w || !h || w / h > 20 || h / w > 20) return null;
   return { key: `${w}:${h}`, w, h };
 }
 
+/**
+ * Parse a list of up to MAX_RATIOS single ratios, e.g. "1:1,4:5,9:16".
+ * Returns { key, w: 0, h: 0, ratios } or null (auto isn't allowed inside).
+ */
+function parseRatioList(key) {
+  const list = key.split(",").map((k) => parseRatio(k));
+  if (list.some((r) => !r || r.auto || r.ratios)) return null;
+  const ratios = list.filter(
+    (r, i) => list.findIndex((o) => o.key === r.key) === i
+  );
+  if (ratios.length > MAX_RATIOS) return null;
+  if (ratios.length === 1) return ratios[0];
+  return { key: ratios.map((r) => r.key).join(","), w: 0, h: 0, ratios };
+}
+
+/**
+ * Parse "auto", "auto:4:5,1:1,16:9" (allowed candidates) and either one
+ * followed by "uniform" (albums share the ratio that suits all images best).
+ * Returns { key, w: 0, h: 0, auto: true, candidates, uniform } or null;
+ * the w/h of 0 make it a no-op for code that doesn't resolve it first.
+ */
+function parseAutoRatio(key) {
+  const m = key.match(/^auto(?::(\S+))?(?:\s+(uniform))?$/);
+  if (!m) return null;
+
+  let candidates = AUTO_RATIO_CANDIDATES;
+  if (m[1]) {
+    const list = m[1].split(",").map((k) => parseRatio(k));
+    if (list.some((r) => !r || !r.w || !r.h || r.auto)) return null;
+    // Drop duplicates, keeping the first one listed
+    candidates = list.filter(
+      (r, i) => list.findIndex((o) => o.key === r.key) === i
+    );
+  }
+
+  const uniform = !!m[2];
+  const allowed = m[1] ? `:${candidates.map((r) => r.key).join(",")}` : "";
+  return {
+    key: `${AUTO_RATIO}${allowed}${uniform ? " uniform" : ""}`,
+    w: 0,
+    h: 0,
+    auto: true,
+    candidates,
+    uniform,
+  };
+}
+
+/**
+ * Parse a border color: hex ("#000", "#000000", "#RRGGBBAA"), black/white,
+ * transparent, rgb()/rgba() (alpha 0-1 or a percentage), blur or
+ * auto[:mode]. Colors with alpha come back as "#rrggbbaa" (opaque ones as
+ * "#rrggbb").
+ */
 function parseColor(input) {
   const s = String(input || "").trim();
   if (/^#([0-9a-fA-F]{3}){1,2}$/.test(s)) return s;
+  if (/^#[0-9a-fA-F]{8}$/.test(s)) {
+    const hex = s.toLowerCase();
+    return hex.endsWith("ff") ? hex.slice(0, 7) : hex;
+  }
   if (/^(black|white)$/i.test(s))
     return s.toLowerCase() === "white" ? "#ffffff" : "#000000";
+  const lower = s.toLowerCase();
+  if (lower === TRANSPARENT) return TRANSPARENT;
+  if (lower.startsWith("rgb")) return parseRgba(lower);
+  if (lower === BLUR_FILL) return BLUR_FILL;
+  if (lower === AUTO_COLOR) return `${AUTO_COLOR}:${AUTO_COLOR_MODES[0]}`;
+  const m = lower.match(/^auto:([a-z]+)$/);
+  if (m && AUTO_COLOR_MODES.includes(m[1])) return lower;
   return null;
 }
 
+// "rgb(r, g, b)" / "rgba(r, g, b, a)" -> "#rrggbb[aa]", or null
+function parseRgba(s) {
+  const m = s.match(
+    /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)(%?)\s*)?\)$/
+  );
+  if (!m) return null;
+  const rgb = [m[1], m[2], m[3]].map(Number);
+  if (rgb.some((v) => v > 255)) return null;
+  let alpha = m[4] === undefined ? 1 : Number(m[4]);
+  if (m[5]) alpha /= 100;
+  if (alpha < 0 || alpha > 1) return null;
+
+  const hex = (v) => v.toString(16).padStart(2, "0");
+  const a = Math.round(alpha * 255);
+  return `#${rgb.map(hex).join("")}${a < 255 ? hex(a) : ""}`;
+}
+
+// Blur strength (gaussian sigma) for the blur fill, 1..100
+function parseBlur(input) {
+  const n = Number(String(input ?? "").trim());
+  if (!Number.isFinite(n) || n < 1 || n > 100) return null;
+  return Math.round(n);
+}
+
+// Named anchor ("top", "bottom-left"…) or fractional "x,y" offset like "0.5,0.2"
+function parseAlign(input) {
+  const key = String(input || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+  if (ALIGNS.has(key)) return ALIGNS.get(key);
+  const m = key.match(/^(\d*\.?\d+),(\d*\.?\d+)$/);
+  if (!m) return null;
+  const x = Number(m[1]),
+    y = Number(m[2]);
+  if (x > 1 || y > 1) return null;
+  return { key: `${x},${y}`, x, y };
+}
+
+// Minimum margin: "5%" of the long edge, "40px" / "40", or "0" for none
+function parseMargin(input) {
+  const key = String(input ?? "")
+    .trim()
+    .toLowerCase();
+  const m = key.match(/^(\d*\.?\d+)\s*(%|px)?$/);
+  if (!m) return null;
+  const value = Number(m[1]);
+  const unit = m[2] || "px";
+  if (unit === "%" ? value > 50 : value > 5000) return null;
+  if (!value) return { key: "0", value: 0, unit: "px" };
+  return { key: `${value}${unit}`, value, unit };
+}
+
+// Polaroid mode: "on" (centered caption), "off" or a caption alignment
+function parsePolaroid(input) {
+  const p = String(input ?? "")
+    .trim()
+    .toLowerCase();
+  if (p === "on" || p === "true") return "center";
+  if (p === "off" || p === "false") return "off";
+  return CAPTION_ALIGNS.includes(p) ? p : null;
+}
+
+// Border trimming tolerance: "on" (default tolerance), "off"/0 or 1..100
+function parseTrim(input) {
+  const t = String(input ?? "")
+    .trim()
+    .toLowerCase();
+  if (t === "on" || t === "true") return DEFAULT_TRIM_THRESHOLD;
+  if (t === "off" || t === "false" || t === "0") return 0;
+  if (!/^\d+$/.test(t)) return null;
+  const n = Number(t);
+  return n <= MAX_TRIM_THRESHOLD ? n : null;
+}
+
+function describeTrim(threshold) {
+  return threshold ? `on (tolerance ${threshold})` : "off";
+}
+
+function describeColor(st) {
+  if (st.background) return describeBackground(st.background);
+  return st.color === BLUR_FILL ? `blur (${st.blur})` : st.color;
+}
+
+function parseFormat(input) {
+  let f = String(input || "")
+    .trim()
+    .toLowerCase();
+  if (f === "jpg") f = "jpeg";
+  if (f === "keep") f = "original";
+  return OUTPUT_FORMATS.includes(f) ? f : null;
+}
+
+/**
+ * One-off settings for re-processing a single image (/redo), any order:
+ * a ratio, a border color ("blur" takes an optional strength), an output
+ * format, an alignment and a margin, e.g. "1:1 white png". "original" is
+ * read as the ratio. A value can be tagged "ratio <value>" / "color <value>";
+ * bare "auto" is both an auto ratio and an auto color, so it has to be.
+ * Returns the state fields to override (a color also drops any background)
+ * or null when a token isn't understood.
+ */
+function parseOverrides(input) {
+  const tokens = (
+    Array.isArray(input) ? input : String(input || "").split(/\s+/)
+  ).filter(Boolean);
+  const o = {};
+  for (let i = 0; i < tokens.length; i++) {
+    let t = tokens[i];
+    let only = null; // "ratio" / "color" when tagged
+    if (/^(ratio|color)$/i.test(t) && i + 1 < tokens.length) {
+      only = t.toLowerCase();
+      t = tokens[++i];
+    } else if (t.toLowerCase() === AUTO_RATIO) {
+      return null;
+    }
+    let v;
+    if (only !== "color" && !o.ratio && (v = parseRatio(t))) {
+      o.ratio = v;
+    } else if (only !== "ratio" && !o.color && (v = parseColor(t))) {
+      o.color = v;
+      o.background = null;
+      if (v === BLUR_FILL && parseBlur(tokens[i + 1])) {
+        o.blur = parseBlur(tokens[++i]);
+      }
+    } else if (only) {
+      return null;
+    } else if (!o.format && (v = parseFormat(t))) {
+      o.format = v;
+    } else if (!o.align && (v = parseAlign(t))) {
+      o.align = v;
+    } else if (!o.margin && (v = parseMargin(t))) {
+      o.margin = v;
+    } else {
+      return null;
+    }
+  }
+  return o;
+}
+
 function humanSettings(st) {
-  return `Ratio: ${st.ratio.key}\nBorder: ${st.color}`;
+  return [
+    ...(st.preset ? [`Preset: ${st.preset}`] : []),
+    `Ratio: ${st.ratio.key}`,
+    `Border: ${describeColor(st)}`,
+    `Align: ${st.align.key}`,
+    `Margin: ${st.margin.key}`,
+    `Format: ${st.format}`,
+    `Metadata: ${describeMetadataPolicy(st.metadata)}`,
+    `Watermark: ${describeWatermark(st.watermark)}`,
+    `Polaroid: ${st.polaroid}`,
+    `Frame: ${describeFrame(st.frame)}`,
+    `Trim: ${describeTrim(st.trim)}`,
+    `Print: ${describePrint(st.print)}`,
+  ].join("\n");
 }
 
 // Convert DB doc -> state object
 function docToState(doc) {
   const r = parseRatio(doc?.ratio || "4:5") || PRESETS.get("4:5");
   const c = doc?.color || "#000000";
-  return { ratio: r, color: c };
+  const b = parseBlur(doc?.blur) || DEFAULT_BLUR_SIGMA;
+  const f = parseFormat(doc?.format) || "original";
+  const a = parseAlign(doc?.align) || ALIGNS.get("center");
+  const m = parseMargin(doc?.margin) || parseMargin("0");
+  const bg = normalizeBackground(doc?.background);
+  const md = parseMetadataPolicy(doc?.metadata);
+  const wm = doc?.watermark ? normalizeWatermark(doc.watermark) : null;
+  const pl = parsePolaroid(doc?.polaroid) || "off";
+  const fr = normalizeFrame(doc?.frame);
+  const tr = parseTrim(doc?.trim ?? 0) || 0;
+  const pr = normalizePrint(doc?.print);
+  const ps = doc?.preset || null;
+  return {
+    ratio: r,
+    color: c,
+    blur: b,
+    background: bg,
+    format: f,
+    align: a,
+    margin: m,
+    metadata: md,
+    watermark: wm,
+    polaroid: pl,
+    frame: fr,
+    trim: tr,
+    print: pr,
+    preset: ps,
+  };
+}
+
+// Convert state object -> the UserConfig fields it was loaded from
+function stateToDoc(st) {
+  return {
+    ratio: st.ratio.key,
+    color: st.color,
+    blur: st.blur,
+    background: st.background,
+    format: st.format,
+    align: st.align.key,
+    margin: st.margin.key,
+    metadata: st.metadata,
+    watermark: st.watermark,
+    polaroid: st.polaroid,
+    frame: st.frame,
+    trim: st.trim,
+    print: st.print,
+  };
 }
 
 // ---------- Public API (async) ----------
@@ -66,40 +439,284 @@ async function getUserState(userId) {
     const doc = await getOrCreateUserConfig(id);
     st = docToState(doc);
   } else {
-    st = { ratio: PRESETS.get("4:5"), color: "#000000" };
+    st = docToState(null);
   }
   cache.set(id, st);
   return st;
 }
 
+// Cache a changed state and persist the changed fields. A setting changed by
+// hand means the state no longer matches the active preset.
+async function commitUserState(id, st, fields) {
+  st.preset = null;
+  cache.set(id, st);
+  if (PERSIST) {
+    await updateUserConfig(id, { ...fields, preset: null });
+  }
+  return st;
+}
+
 async function setUserRatio(userId, ratioObj) {
   const id = String(userId);
   const st = await getUserState(id);
   st.ratio = ratioObj;
-  cache.set(id, st);
+  return commitUserState(id, st, { ratio: ratioObj.key });
+}
+
+async function setUserColor(userId, colorHex, blur) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.color = colorHex;
+  if (blur) st.blur = blur;
+  // A plain color replaces any gradient/pattern/image background
+  st.background = null;
+  return commitUserState(id, st, {
+    color: colorHex,
+    blur: st.blur,
+    background: null,
+  });
+}
+
+async function setUserBackground(userId, bgSpec) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.background = bgSpec || null;
+  return commitUserState(id, st, { background: st.background });
+}
+
+async function setUserFormat(userId, format) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.format = format;
+  return commitUserState(id, st, { format });
+}
+
+async function setUserAlign(userId, alignObj) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.align = alignObj;
+  return commitUserState(id, st, { align: alignObj.key });
+}
+
+async function setUserMargin(userId, marginObj) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.margin = marginObj;
+  return commitUserState(id, st, { margin: marginObj.key });
+}
+
+async function setUserMetadata(userId, policy) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.metadata = policy;
+  return commitUserState(id, st, { metadata: policy });
+}
+
+async function setUserWatermark(userId, wmSpec) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.watermark = wmSpec || null;
+  return commitUserState(id, st, { watermark: st.watermark });
+}
+
+async function setUserPolaroid(userId, polaroid) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.polaroid = polaroid;
+  return commitUserState(id, st, { polaroid });
+}
+
+async function setUserFrame(userId, frameSpec) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.frame = frameSpec || null;
+  return commitUserState(id, st, { frame: st.frame });
+}
+
+async function setUserTrim(userId, threshold) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.trim = threshold;
+  return commitUserState(id, st, { trim: threshold });
+}
+
+async function setUserPrint(userId, printSpec) {
+  const id = String(userId);
+  const st = await getUserState(id);
+  st.print = printSpec || null;
+  return commitUserState(id, st, { print: st.print });
+}
+
+// ---------- Presets ----------
+function parsePresetName(input) {
+  const name = String(input || "")
+    .trim()
+    .toLowerCase();
+  return PRESET_NAME_RE.test(name) ? name : null;
+}
+
+function toPresetInfo(p) {
+  return { name: p.name, shareCode: p.shareCode, settings: p.settings };
+}
+
+function memoryPresetsOf(id) {
+  if (!memoryPresets.has(id)) memoryPresets.set(id, new Map());
+  return memoryPresets.get(id);
+}
+
+/**
+ * Store settings under a preset name. Returns { name, shareCode, settings },
+ * or null when the user already has MAX_PRESETS others.
+ */
+async function storePreset(id, name, settings) {
   if (PERSIST) {
-    await updateUserConfig(id, { ratio: ratioObj.key });
+    const exists = await findPreset(id, name);
+    if (!exists && (await countPresets(id)) >= MAX_PRESETS) return null;
+    return toPresetInfo(await savePreset(id, name, settings));
   }
-  return st;
+  const presets = memoryPresetsOf(id);
+  const existing = presets.get(name);
+  if (!existing && presets.size >= MAX_PRESETS) return null;
+  const preset = {
+    userId: id,
+    name,
+    settings,
+    shareCode: existing ? existing.shareCode : genShareCode(),
+  };
+  presets.set(name, preset);
+  memoryCodes.set(preset.shareCode, preset);
+  return toPresetInfo(preset);
 }
 
-async function setUserColor(userId, colorHex) {
+/**
+ * Save the user's current settings as a preset, which becomes the active one.
+ * Returns { name, shareCode, settings }, or null when over MAX_PRESETS.
+ */
+async function saveUserPreset(userId, name) {
   const id = String(userId);
   const st = await getUserState(id);
-  st.color = colorHex;
+  const saved = await storePreset(id, name, stateToDoc(st));
+  if (!saved) return null;
+  st.preset = name;
+  cache.set(id, st);
+  if (PERSIST) {
+    await updateUserConfig(id, { preset: name });
+  }
+  return saved;
+}
+
+/**
+ * Replace the user's settings with a saved preset's.
+ * Returns the new state, or null if there is no such preset.
+ */
+async function useUserPreset(userId, name) {
+  const id = String(userId);
+  const preset = PERSIST
+    ? await findPreset(id, name)
+    : memoryPresetsOf(id).get(name);
+  if (!preset) return null;
+
+  const st = docToState({ ...preset.settings, preset: name });
   cache.set(id, st);
   if (PERSIST) {
-    await updateUserConfig(id, { color: colorHex });
+    await updateUserConfig(id, { ...stateToDoc(st), preset: name });
   }
   return st;
 }
 
+// [{ name, shareCode, settings }] sorted by name
+async function listUserPresets(userId) {
+  const id = String(userId);
+  if (PERSIST) return (await listPresets(id)).map(toPresetInfo);
+  return [...memoryPresetsOf(id).values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(toPresetInfo);
+}
+
+// Returns true if the preset existed. Current settings are left as they are.
+async function deleteUserPreset(userId, name) {
+  const id = String(userId);
+  let deleted;
+  if (PERSIST) {
+    deleted = await deletePreset(id, name);
+  } else {
+    const preset = memoryPresetsOf(id).get(name);
+    deleted = memoryPresetsOf(id).delete(name);
+    if (preset) memoryCodes.delete(preset.shareCode);
+  }
+
+  const st = await getUserState(id);
+  if (deleted && st.preset === name) {
+    st.preset = null;
+    cache.set(id, st);
+    if (PERSIST) {
+      await updateUserConfig(id, { preset: null });
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Copy a preset shared by its code into the user's presets, under `name`
+ * or the original name. An existing preset of that name is never replaced.
+ * Returns { name, shareCode, settings } (a code of its own),
+ * { error: "not-found" }, { error: "exists", name } or { error: "limit" }.
+ */
+async function importUserPreset(userId, shareCode, name) {
+  const id = String(userId);
+  const code = String(shareCode || "")
+    .trim()
+    .toUpperCase();
+  const source = PERSIST ? await findPresetByCode(code) : memoryCodes.get(code);
+  if (!source) return { error: "not-found" };
+
+  const target = name || source.name;
+  const exists = PERSIST
+    ? await findPreset(id, target)
+    : memoryPresetsOf(id).has(target);
+  if (exists) return { error: "exists", name: target };
+
+  const saved = await storePreset(id, target, source.settings);
+  return saved || { error: "limit" };
+}
+
 module.exports = {
   PRESETS,
+  PLATFORM_PRESETS,
+  AUTO_RATIO,
+  MAX_RATIOS,
+  ALIGNS,
   parseRatio,
   parseColor,
+  parseBlur,
+  parseFormat,
+  parseAlign,
+  parseMargin,
+  parseMetadataPolicy,
+  parsePolaroid,
+  parseTrim,
+  describeTrim,
+  describeColor,
+  parseOverrides,
   humanSettings,
   getUserState,
   setUserRatio,
   setUserColor,
+  setUserBackground,
+  setUserFormat,
+  setUserAlign,
+  setUserMargin,
+  setUserMetadata,
+  setUserWatermark,
+  setUserPolaroid,
+  setUserFrame,
+  setUserTrim,
+  setUserPrint,
+  MAX_PRESETS,
+  parsePresetName,
+  saveUserPreset,
+  useUserPreset,
+  listUserPresets,
+  deleteUserPreset,
+  importUserPreset,
 };
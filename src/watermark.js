@@ -0,0 +1,259 @@
+const sharp = require("sharp");
+const { escapeXml } = require("./xml");
+
+// Watermark spec, composited over the padded canvas:
+//   { text, logo, size, opacity, color, position }
+//   text: handle or signature ("" for none)
+//   logo: { fileId } | { uploadId, filename } | { buffer }, or null
+//   size: mark height in % of the canvas short edge
+//   opacity: 0..1; color: text color (hex)
+//   position: which border the mark sits in, see WATERMARK_POSITIONS
+const WATERMARK_POSITIONS = [
+  "bottom",
+  "bottom-left",
+  "bottom-right",
+  "top",
+  "top-left",
+  "top-right",
+  "left",
+  "right",
+];
+const DEFAULT_WATERMARK = {
+  text: "",
+  logo: null,
+  size: 4,
+  opacity: 0.8,
+  color: "#ffffff",
+  position: "bottom-right",
+};
+const MAX_TEXT_LENGTH = 100;
+const MIN_SIZE = 1;
+const MAX_SIZE = 20;
+
+const HEX_RE = /^#([0-9a-fA-F]{3}){1,2}$/;
+
+function normalizeLogo(logo) {
+  if (!logo || typeof logo !== "object") return null;
+  const { fileId, uploadId, filename, buffer } = logo;
+  if (fileId) return { fileId: String(fileId) };
+  if (uploadId && filename) {
+    return { uploadId: String(uploadId), filename: String(filename) };
+  }
+  if (Buffer.isBuffer(buffer)) return { buffer };
+  return null;
+}
+
+// Opacity as 0..1, or a percentage ("60%", 60)
+function parseOpacity(input) {
+  const s = String(input ?? "").trim();
+  if (!/^\d+(\.\d+)?%?$/.test(s)) return null;
+  let v = Number(s.replace("%", ""));
+  if (s.endsWith("%") || v > 1) v /= 100;
+  return v > 0 && v <= 1 ? v : null;
+}
+
+/**
+ * Validate a spec (from the API or the DB) and fill in defaults.
+ * A plain string is taken as the text. Returns a clean spec or null.
+ */
+function normalizeWatermark(obj) {
+  if (typeof obj === "string") obj = { text: obj };
+  if (!obj || typeof obj !== "object") return null;
+
+  const wm = { ...DEFAULT_WATERMARK };
+  if (obj.text !== undefined && obj.text !== null) {
+    wm.text = String(obj.text).trim();
+    if (wm.text.length > MAX_TEXT_LENGTH) return null;
+  }
+  if (obj.logo) {
+    wm.logo = normalizeLogo(obj.logo);
+    if (!wm.logo) return null;
+  }
+  if (obj.size !== undefined) {
+    wm.size = Number(obj.size);
+    if (!(wm.size >= MIN_SIZE && wm.size <= MAX_SIZE)) return null;
+  }
+  if (obj.opacity !== undefined) {
+    wm.opacity = parseOpacity(obj.opacity);
+    if (!wm.opacity) return null;
+  }
+  if (obj.color !== undefined) {
+    if (!HEX_RE.test(String(obj.color))) return null;
+    wm.color = String(obj.color).toLowerCase();
+  }
+  if (obj.position !== undefined) {
+    wm.position = String(obj.position).toLowerCase();
+    if (!WATERMARK_POSITIONS.includes(wm.position)) return null;
+  }
+  return wm;
+}
+
+/**
+ * Apply one bot setting to the current spec:
+ *   text <words…> | size <1-20> | opacity <0-100%> | color <#hex>
+ *   position <name> | logo off
+ * Anything else is taken as the text. Returns the new spec or null.
+ */
+function parseWatermarkArgs(current, args) {
+  const [key, ...rest] = args;
+  const value = rest.join(" ");
+  const wm = { ...DEFAULT_WATERMARK, ...(current || {}) };
+
+  switch (String(key || "").toLowerCase()) {
+    case "text":
+      return normalizeWatermark({ ...wm, text: value });
+    case "size":
+    case "opacity":
+    case "color":
+    case "position":
+      if (!value) return null;
+      return normalizeWatermark({ ...wm, [key.toLowerCase()]: value });
+    case "logo":
+      if (!/^(off|none)$/i.test(value)) return null;
+      return normalizeWatermark({ ...wm, logo: null });
+    default:
+      return normalizeWatermark({ ...wm, text: args.join(" ") });
+  }
+}
+
+function hasWatermark(wm) {
+  return !!wm && (!!wm.text || !!wm.logo);
+}
+
+function describeWatermark(wm) {
+  if (!hasWatermark(wm)) return "off";
+  const what = [wm.text && `"${wm.text}"`, wm.logo && "logo"]
+    .filter(Boolean)
+    .join(" + ");
+  const pct = Math.round(wm.opacity * 100);
+  return `${what}, ${wm.position}, ${wm.size}%, ${pct}% opacity`;
+}
+
+/**
+ * Render logo and/or text side by side into one transparent PNG of height h,
+ * with the opacity baked into its alpha. Returns { data, info }.
+ */
+async function renderMark(wm, h, maxWidth) {
+  const parts = [];
+  if (wm.logo) {
+    if (!wm.logo.buffer) throw new Error("Watermark logo not loaded");
+    parts.push(
+      await sharp(wm.logo.buffer, { failOn: "none" })
+        .rotate()
+        .resize({ height: h, width: maxWidth, fit: "inside" })
+        .ensureAlpha()
+        .png()
+        .toBuffer({ resolveWithObject: true })
+    );
+  }
+  if (wm.text) {
+    const markup = `<span foreground="${wm.color}">${escapeXml(wm.text)}</span>`;
+    parts.push(
+      await sharp({
+        text: { text: markup, font: `sans bold ${h}`, dpi: 72, rgba: true },
+      })
+        .png()
+        .toBuffer({ resolveWithObject: true })
+    );
+  }
+
+  const gap = Math.round(h / 2);
+  const rowH = Math.max(...parts.map((p) => p.info.height));
+  const rowW =
+    parts.reduce((sum, p) => sum + p.info.width, 0) + gap * (parts.length - 1);
+
+  let x = 0;
+  const layers = parts.map((p) => {
+    const layer = {
+      input: p.data,
+      left: x,
+      top: Math.floor((rowH - p.info.height) / 2),
+    };
+    x += p.info.width + gap;
+    return layer;
+  });
+
+  // dest-in with a uniform alpha scales the whole mark's transparency
+  const alpha = Math.round(255 * wm.opacity);
+  layers.push({
+    input: Buffer.from([255, 255, 255, alpha]),
+    raw: { width: 1, height: 1, channels: 4 },
+    tile: true,
+    blend: "dest-in",
+  });
+
+  const row = await sharp({
+    create: {
+      width: rowW,
+      height: rowH,
+      channels: 4,
+      background: { r: 0, g: 0, b: 0, alpha: 0 },
+    },
+  })
+    .composite(layers)
+    .png()
+    .toBuffer();
+
+  return sharp(row)
+    .resize({ width: maxWidth, withoutEnlargement: true })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Center the mark in a border band when it fits, otherwise hug the edge
+function bandOffset(band, size, total, edge, atEnd) {
+  if (band >= size) {
+    const start = atEnd ? total - band : 0;
+    return start + Math.floor((band - size) / 2);
+  }
+  return atEnd ? total - size - edge : edge;
+}
+
+/**
+ * Build the composite layers placing the watermark on a Cw×Ch canvas whose
+ * padding is pad = { top, bottom, left, right }. Returns [] when there is
+ * nothing to draw. Logos must be loaded (logo.buffer) before calling.
+ */
+async function renderWatermark(wm, Cw, Ch, pad) {
+  if (!hasWatermark(wm)) return [];
+
+  const h = Math.max(8, Math.round((Math.min(Cw, Ch) * wm.size) / 100));
+  const edge = Math.round(h / 2);
+  const { data, info } = await renderMark(wm, h, Math.max(1, Cw - 2 * edge));
+  const w = info.width,
+    mh = info.height;
+
+  const pos = wm.position;
+  let left, top;
+  if (pos === "left" || pos === "right") {
+    left = bandOffset(
+      pos === "left" ? pad.left : pad.right,
+      w,
+      Cw,
+      edge,
+      pos === "right"
+    );
+    top = Math.floor((Ch - mh) / 2);
+  } else {
+    top = pos.startsWith("top")
+      ? bandOffset(pad.top, mh, Ch, edge, false)
+      : bandOffset(pad.bottom, mh, Ch, edge, true);
+    if (pos.endsWith("-left")) left = edge;
+    else if (pos.endsWith("-right")) left = Cw - w - edge;
+    else left = Math.floor((Cw - w) / 2);
+  }
+
+  left = Math.max(0, Math.min(left, Cw - w));
+  top = Math.max(0, Math.min(top, Ch - mh));
+  return [{ input: data, left, top }];
+}
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  DEFAULT_WATERMARK,
+  normalizeWatermark,
+  parseWatermarkArgs,
+  hasWatermark,
+  describeWatermark,
+  renderWatermark,
+};
@@ -5,6 +5,18 @@ const path = require('path');
 const sharp = require('sharp');
 const { log, genTraceId } = require('../../logger');
 const { DOWNLOAD_EXPIRY_HOURS } = require('../../config');
+const {
+  normalizeBackground,
+  parseBackground,
+  describeBackground,
+  loadUploadedBackground,
+} = require('../../background');
+const {
+  VALID_LAYOUT_TYPES,
+  calculateCellPositions,
+  processImageForCell,
+  layoutCanvas,
+} = require('../../layout');
 const ProcessedFile = require('../../models/ProcessedFile');
 
 const TEMP_DIR = path.join(__dirname, '../../../uploads/temp');
@@ -15,115 +27,6 @@ const OUTPUT_DIR = path.join(__dirname, '../../../uploads/output');
   await fs.mkdir(OUTPUT_DIR, { recursive: true });
 })();
 
-// Valid layout types
-const VALID_LAYOUT_TYPES = [
-  '2-horizontal',
-  '2-vertical',
-  '3-row',
-  '3-column',
-  '3-left',
-  '3-right'
-];
-
-/**
- * Calculate cell positions for each layout type
- */
-function calculateCellPositions(layoutType, width, height) {
-  const w = Math.round(width);
-  const h = Math.round(height);
-  
-  switch (layoutType) {
-    case '2-horizontal':
-      return [
-        { x: 0, y: 0, width: Math.round(w / 2), height: h },
-        { x: Math.round(w / 2), y: 0, width: Math.round(w / 2), height: h }
-      ];
-    
-    case '2-vertical':
-      return [
-        { x: 0, y: 0, width: w, height: Math.round(h / 2) },
-        { x: 0, y: Math.round(h / 2), width: w, height: Math.round(h / 2) }
-      ];
-    
-    case '3-row':
-      return [
-        { x: 0, y: 0, width: Math.round(w / 3), height: h },
-        { x: Math.round(w / 3), y: 0, width: Math.round(w / 3), height: h },
-        { x: Math.round(2 * w / 3), y: 0, width: Math.round(w / 3), height: h }
-      ];
-    
-    case '3-column':
-      return [
-        { x: 0, y: 0, width: w, height: Math.round(h / 3) },
-        { x: 0, y: Math.round(h / 3), width: w, height: Math.round(h / 3) },
-        { x: 0, y: Math.round(2 * h / 3), width: w, height: Math.round(h / 3) }
-      ];
-    
-    case '3-left':
-      return [
-        { x: 0, y: 0, width: Math.round(w / 2), height: h },
-        { x: Math.round(w / 2), y: 0, width: Math.round(w / 2), height: Math.round(h / 2) },
-        { x: Math.round(w / 2), y: Math.round(h / 2), width: Math.round(w / 2), height: Math.round(h / 2) }
-      ];
-    
-    case '3-right':
-      return [
-        { x: 0, y: 0, width: Math.round(w / 2), height: Math.round(h / 2) },
-        { x: 0, y: Math.round(h / 2), width: Math.round(w / 2), height: Math.round(h / 2) },
-        { x: Math.round(w / 2), y: 0, width: Math.round(w / 2), height: h }
-      ];
-    
-    default:
-      throw new Error(`Unknown layout type: ${layoutType}`);
-  }
-}
-
-/**
- * Process image with zoom and fit to cell
- * Keep original quality, only crop/position as needed
- */
-async function processImageForCell(imageBuffer, cell, zoom) {
-  const { width: cellWidth, height: cellHeight } = cell;
-  
-  // Get original image metadata (no downscale)
-  const metadata = await sharp(imageBuffer).metadata();
-  const { width: imgWidth, height: imgHeight } = metadata;
-  
-  // Calculate aspect ratios
-  const cellRatio = cellWidth / cellHeight;
-  const imageRatio = imgWidth / imgHeight;
-  
-  // Calculate dimensions to fill cell (keeping original quality)
-  let targetWidth, targetHeight;
-  
-  if (imageRatio > cellRatio) {
-    // Image is wider - fit to height, then zoom
-    targetHeight = Math.round(cellHeight * zoom);
-    targetWidth = Math.round(targetHeight * imageRatio);
-  } else {
-    // Image is taller - fit to width, then zoom
-    targetWidth = Math.round(cellWidth * zoom);
-    targetHeight = Math.round(targetWidth / imageRatio);
-  }
-  
-  // Resize and crop to exact cell size
-  // Sharp will keep quality as high as possible
-  const processedImage = sharp(imageBuffer)
-    .resize(targetWidth, targetHeight, {
-      fit: 'cover',
-      position: 'centre',
-      kernel: 'lanczos3' // High quality resampling
-    })
-    .extract({
-      left: Math.max(0, Math.round((targetWidth - cellWidth) / 2)),
-      top: Math.max(0, Math.round((targetHeight - cellHeight) / 2)),
-      width: cellWidth,
-      height: cellHeight
-    });
-  
-  return processedImage.toBuffer();
-}
-
 // POST /api/layout/process - Process multiple images into layout
 router.post('/process', async (req, res) => {
   const traceId = genTraceId();
@@ -133,6 +36,7 @@ router.post('/process', async (req, res) => {
       layoutType,
       ratio,
       backgroundColor,
+      background: bgInput,
       dimensions,
       images
     } = req.body;
@@ -169,6 +73,29 @@ router.post('/process', async (req, res) => {
       });
     }
     
+    // Validate background spec (overrides backgroundColor)
+    let background = null;
+    if (bgInput !== undefined && bgInput !== null) {
+      background = typeof bgInput === 'string'
+        ? parseBackground(bgInput)
+        : normalizeBackground(bgInput);
+      if (!background) {
+        return res.status(400).json({
+          error: 'Invalid background',
+          message: 'background must be a solid, gradient, pattern or image spec'
+        });
+      }
+      if (background.type === 'image') {
+        background.buffer = await loadUploadedBackground(background, TEMP_DIR);
+        if (!background.buffer) {
+          return res.status(404).json({
+            error: 'Background not found',
+            message: 'Upload the background image first and pass its uploadId and filename'
+          });
+        }
+      }
+    }
+    
     // Validate image count matches layout
     const expectedCount = layoutType.startsWith('2-') ? 2 : 3;
     if (images.length !== expectedCount) {
@@ -229,7 +156,8 @@ router.post('/process', async (req, res) => {
       layoutType,
       dimensionsFromFE: dimensions,
       imageCount: images.length,
-      backgroundColor
+      backgroundColor,
+      background: background ? describeBackground(background) : undefined
     });
     
     // Load all images first to get original dimensions
@@ -335,22 +263,10 @@ router.post('/process', async (req, res) => {
     // Sort by position
     processedImages.sort((a, b) => a.position - b.position);
     
-    // Create canvas with background color
-    const bgColor = backgroundColor || '#FFFFFF';
-    const bgRgb = {
-      r: parseInt(bgColor.slice(1, 3), 16),
-      g: parseInt(bgColor.slice(3, 5), 16),
-      b: parseInt(bgColor.slice(5, 7), 16)
-    };
-    
-    // Create base canvas
-    const canvas = sharp({
-      create: {
-        width: actualWidth,
-        height: actualHeight,
-        channels: 3,
-        background: bgRgb
-      }
+    // Create base canvas with background color (or gradient/pattern spec)
+    const canvas = await layoutCanvas(actualWidth, actualHeight, {
+      background,
+      backgroundColor
     });
     
     // Composite all images onto canvas
@@ -396,7 +312,7 @@ router.post('/process', async (req, res) => {
       height: actualHeight,
       format: 'jpeg',
       ratio: ratio || 'custom',
-      color: backgroundColor || '#FFFFFF',
+      color: background ? describeBackground(background) : (backgroundColor || '#FFFFFF'),
       downloadUrl: `/api/process/download/${fileId}`,
       expiresAt,
       userIp: req.ip || req.connection.remoteAddress,
@@ -2,11 +2,69 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
-const sharp = require('sharp');
+const archiver = require('archiver');
 const { log, genTraceId } = require('../../logger');
-const { noCropBuffer, mapFormatToExt } = require('../../image');
-const { parseRatio, parseColor } = require('../../state');
-const { DOWNLOAD_EXPIRY_HOURS } = require('../../config');
+const {
+  mapFormatToExt,
+  probeInputFormat,
+  OUTPUT_FORMATS,
+  BLUR_FILL,
+  DEFAULT_BLUR_SIGMA,
+  DEFAULT_TRIM_THRESHOLD,
+  MAX_TRIM_THRESHOLD,
+  noCropBuffer,
+  multiRatioBuffers,
+  MIN_CAROUSEL,
+  MAX_CAROUSEL,
+  carouselBuffers,
+} = require('../../image');
+const {
+  ALIGNS,
+  MAX_RATIOS,
+  parseRatio,
+  parseColor,
+  parseBlur,
+  parseFormat,
+  parseAlign,
+  parseMargin,
+  parsePolaroid,
+  parseTrim,
+} = require('../../state');
+const {
+  normalizeBackground,
+  parseBackground,
+  describeBackground,
+  loadUploadedBackground,
+} = require('../../background');
+const {
+  METADATA_POLICIES,
+  parseMetadataPolicy,
+} = require('../../metadata');
+const {
+  WATERMARK_POSITIONS,
+  normalizeWatermark,
+  describeWatermark,
+} = require('../../watermark');
+const { MAX_CAPTION_LENGTH } = require('../../caption');
+const { normalizeFrame, parseFrame, describeFrame } = require('../../frame');
+const {
+  MIN_DPI,
+  MAX_DPI,
+  MAX_BLEED_MM,
+  MAX_PRINT_SIDE,
+  normalizePrint,
+  parsePrint,
+  describePrint,
+  fitsPrint,
+} = require('../../print');
+const {
+  COMPARE_MODES,
+  MAX_LABEL_LENGTH,
+  parseCompareMode,
+  normalizeLabels,
+  compareBuffer,
+} = require('../../compare');
+const { DOWNLOAD_EXPIRY_HOURS, KEEP_BYTES_APPROX } = require('../../config');
 const ProcessedFile = require('../../models/ProcessedFile');
 
 const TEMP_DIR = path.join(__dirname, '../../../uploads/temp');
@@ -17,174 +75,824 @@ const OUTPUT_DIR = path.join(__dirname, '../../../uploads/output');
   await fs.mkdir(OUTPUT_DIR, { recursive: true });
 })();
 
+/**
+ * Validate uploadId/filename from a request body and locate the uploaded file.
+ * Returns { inputPath } or { status, error }.
+ */
+async function resolveUpload(uploadId, filename, traceId) {
+  if (!uploadId || !filename) {
+    return { status: 400, error: 'Missing required fields: uploadId, filename' };
+  }
+
+  // Security: Validate uploadId format (32 char hex)
+  if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+    log('warn', 'Invalid uploadId format in process', { uploadId, traceId });
+    return { status: 400, error: 'Invalid uploadId format' };
+  }
+
+  // Security: Validate filename
+  if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
+    log('warn', 'Path traversal attempt in filename', { filename, traceId });
+    return { status: 400, error: 'Invalid filename' };
+  }
+
+  // Security: Sanitize filename
+  const safeFilenameRegex = /^[a-zA-Z0-9_\-\.\s]+$/;
+  if (!safeFilenameRegex.test(filename)) {
+    log('warn', 'Unsafe filename pattern in process', { filename, traceId });
+    return { status: 400, error: 'Invalid filename format' };
+  }
+
+  const inputPath = path.join(TEMP_DIR, `${uploadId}_${filename}`);
+
+  // Security: Verify path is inside TEMP_DIR
+  const resolvedPath = path.resolve(inputPath);
+  const resolvedTempDir = path.resolve(TEMP_DIR);
+  if (!resolvedPath.startsWith(resolvedTempDir)) {
+    log('error', 'Path traversal attempt in process', { uploadId, filename, traceId });
+    return { status: 403, error: 'Access denied' };
+  }
+
+  // Check if file exists
+  try {
+    await fs.access(inputPath);
+  } catch {
+    return { status: 404, error: 'Uploaded file not found. Please upload again.' };
+  }
+
+  return { inputPath };
+}
+
+/**
+ * Parse and validate the padding options shared by the process endpoints.
+ * Uploaded background/logo images are loaded into their specs.
+ * Returns { options } or { status, error }.
+ */
+async function parseProcessOptions(body, traceId) {
+  const {
+    ratio: ratioStr,
+    ratios: ratiosInput,
+    color: colorStr,
+    blur: blurStr,
+    background: bgInput,
+    format: formatStr,
+    align: alignStr,
+    margin: marginStr,
+    metadata: metadataStr,
+    watermark: wmInput,
+    polaroid: polaroidStr,
+    caption,
+    frame: frameInput,
+    trim: trimInput,
+    print: printInput,
+    keepBytes: keepBytesStr,
+    targetBytes: targetBytesStr,
+  } = body;
+
+  // Parse ratio (or a list of them) and color
+  let ratio = ratioStr ? parseRatio(ratioStr) : parseRatio('original');
+  if (ratiosInput !== undefined) {
+    ratio = Array.isArray(ratiosInput) && ratiosInput.length
+      ? parseRatio(ratiosInput.map(String).join(','))
+      : null;
+  }
+  const color = colorStr ? parseColor(colorStr) : parseColor('#000000');
+  const blur = blurStr !== undefined ? parseBlur(blurStr) : DEFAULT_BLUR_SIGMA;
+  let background = null;
+  if (bgInput !== undefined && bgInput !== null) {
+    background = typeof bgInput === 'string'
+      ? parseBackground(bgInput)
+      : normalizeBackground(bgInput);
+  }
+  const format = formatStr ? parseFormat(formatStr) : 'original';
+  const align = alignStr ? parseAlign(alignStr) : ALIGNS.get('center');
+  const margin = parseMargin(marginStr ?? '0');
+  const metadata = metadataStr ? parseMetadataPolicy(metadataStr) : null;
+  const watermark = wmInput ? normalizeWatermark(wmInput) : null;
+  let frame = null;
+  if (frameInput) {
+    frame = typeof frameInput === 'string'
+      ? parseFrame(frameInput)
+      : normalizeFrame(frameInput);
+  }
+  const trim = trimInput !== undefined ? parseTrim(trimInput) : 0;
+  // The text form may carry the size too ("10x15cm 300dpi bleed 3mm")
+  let print = null;
+  let printSize = null;
+  if (printInput) {
+    if (typeof printInput === 'string') {
+      const parsed = parsePrint(printInput);
+      print = parsed && parsed.print;
+      printSize = parsed && parsed.size;
+    } else {
+      print = normalizePrint(printInput);
+    }
+  }
+  // A caption alone turns polaroid mode on with a centered caption
+  const polaroid = polaroidStr !== undefined
+    ? parsePolaroid(polaroidStr)
+    : (caption ? 'center' : 'off');
+  let keepBytes = KEEP_BYTES_APPROX;
+  if (keepBytesStr !== undefined) {
+    keepBytes = [true, 1, 'true', '1'].includes(keepBytesStr);
+  }
+  const targetBytes = targetBytesStr !== undefined ? Number(targetBytesStr) : 0;
+
+  // A one-element list parses as a plain ratio, "auto" included
+  if (ratiosInput !== undefined && (!ratio || ratio.auto)) {
+    return {
+      status: 400,
+      error: `Invalid ratios. Use an array of up to ${MAX_RATIOS} ratios like ["1:1", "4:5", "9:16"] (no "auto")`,
+    };
+  }
+
+  if (!ratio) {
+    return {
+      status: 400,
+      error: 'Invalid ratio format. Use a ratio like "4:5" or "1.91:1", a size like "1080x1350" or "10x15cm", a preset like "instagram-portrait", "original" or "auto[:4:5,1:1,16:9]"',
+    };
+  }
+
+  if (!color) {
+    return {
+      status: 400,
+      error: 'Invalid color format. Use hex color like "#000000" or "#00000080", "black"/"white", "transparent", "rgba(0,0,0,0.5)", "blur" or "auto[:edge|dominant|average]"',
+    };
+  }
+
+  if (!blur) {
+    return {
+      status: 400,
+      error: 'Invalid blur strength. Use a number from 1 to 100',
+    };
+  }
+
+  if (bgInput !== undefined && bgInput !== null && !background) {
+    return {
+      status: 400,
+      error: 'Invalid background. Use { type: "gradient", from, to, kind, angle }, { type: "pattern", pattern, color, background, size } or { type: "image", uploadId, filename }',
+    };
+  }
+
+  if (background && background.type === 'image') {
+    const bgBuffer = await loadUploadedBackground(background, TEMP_DIR);
+    if (!bgBuffer) {
+      log('warn', 'Background upload not found', { traceId, background });
+      return {
+        status: 404,
+        error: 'Background image not found. Upload it first and pass its uploadId and filename.',
+      };
+    }
+    background.buffer = bgBuffer;
+  }
+
+  if (!format) {
+    return {
+      status: 400,
+      error: `Invalid output format. Use one of: ${OUTPUT_FORMATS.join(', ')}`,
+    };
+  }
+
+  if (!align) {
+    return {
+      status: 400,
+      error: `Invalid align. Use one of: ${[...ALIGNS.keys()].join(', ')} or "x,y" fractions like "0.5,0.2"`,
+    };
+  }
+
+  if (!margin) {
+    return {
+      status: 400,
+      error: 'Invalid margin. Use a percent of the long edge like "5%" or pixels like "40px"',
+    };
+  }
+
+  if (metadataStr && !metadata) {
+    return {
+      status: 400,
+      error: `Invalid metadata policy. Use one of: ${METADATA_POLICIES.join(', ')}`,
+    };
+  }
+
+  if (wmInput && !watermark) {
+    return {
+      status: 400,
+      error: `Invalid watermark. Use a text string or { text, logo: { uploadId, filename }, size (1-20), opacity, color, position: ${WATERMARK_POSITIONS.join('|')} }`,
+    };
+  }
+
+  if (watermark && watermark.logo) {
+    const logoBuffer = await loadUploadedBackground(watermark.logo, TEMP_DIR);
+    if (!logoBuffer) {
+      log('warn', 'Watermark logo upload not found', { traceId, logo: watermark.logo });
+      return {
+        status: 404,
+        error: 'Watermark logo not found. Upload it first and pass its uploadId and filename.',
+      };
+    }
+    watermark.logo.buffer = logoBuffer;
+  }
+
+  if (!polaroid) {
+    return {
+      status: 400,
+      error: 'Invalid polaroid. Use true/false, "on"/"off" or a caption alignment: left, center, right',
+    };
+  }
+
+  if (caption !== undefined && (typeof caption !== 'string' || caption.length > MAX_CAPTION_LENGTH)) {
+    return {
+      status: 400,
+      error: `Invalid caption. Use a string of up to ${MAX_CAPTION_LENGTH} characters`,
+    };
+  }
+
+  if (frameInput && !frame) {
+    return {
+      status: 400,
+      error: 'Invalid frame. Use a string like "rounded 24 stroke 2 #ffffff shadow" or { radius, stroke, strokeColor, shadow }',
+    };
+  }
+
+  if (printInput && !print) {
+    return {
+      status: 400,
+      error: `Invalid print. Use a string like "10x15cm 300dpi bleed 3mm marks" or { dpi (${MIN_DPI}-${MAX_DPI}), bleed (mm, up to ${MAX_BLEED_MM}), marks }`,
+    };
+  }
+
+  if (printSize) {
+    if (ratioStr || ratiosInput !== undefined) {
+      return {
+        status: 400,
+        error: 'Give the print size either as ratio or inside print, not both',
+      };
+    }
+    ratio = printSize;
+  }
+
+  if (!fitsPrint(ratio, print)) {
+    return {
+      status: 400,
+      error: `Print size too large: ${ratio.key} at ${print.dpi} dpi is over ${MAX_PRINT_SIDE}px. Use a lower dpi`,
+    };
+  }
+
+  if (trim === null) {
+    return {
+      status: 400,
+      error: `Invalid trim. Use true/false or a tolerance from 1 to ${MAX_TRIM_THRESHOLD} (true = ${DEFAULT_TRIM_THRESHOLD})`,
+    };
+  }
+
+  if (!Number.isInteger(targetBytes) || targetBytes < 0) {
+    return {
+      status: 400,
+      error: 'Invalid targetBytes. Use a positive integer byte count',
+    };
+  }
+
+  return {
+    options: {
+      ratio,
+      color,
+      blur,
+      background,
+      format,
+      align,
+      margin,
+      metadata,
+      watermark,
+      polaroid,
+      caption,
+      frame,
+      trim,
+      print,
+      keepBytes,
+      targetBytes,
+    },
+  };
+}
+
+// Options object for multiRatioBuffers / carouselBuffers
+function paddingOptions(o) {
+  return {
+    format: o.format,
+    blur: o.blur,
+    align: o.align,
+    margin: o.margin,
+    metadata: o.metadata,
+    watermark: o.watermark,
+    polaroid: o.polaroid !== 'off' ? { caption: o.caption, align: o.polaroid } : undefined,
+    frame: o.frame,
+    trim: o.trim,
+    print: o.print,
+    keepBytes: o.keepBytes,
+    targetBytes: o.targetBytes,
+  };
+}
+
+// Filename-safe form of a ratio key: "4:5" -> "4x5", "1.91:1" -> "1_91x1"
+function ratioSlug(key) {
+  return String(key).toLowerCase().replace(/:/g, 'x').replace(/[^a-z0-9x-]/g, '_');
+}
+
+// Why a transparent border came back as PNG (undefined when it didn't)
+function alphaNotice(switchedFrom) {
+  if (!switchedFrom) return undefined;
+  return `${switchedFrom.toUpperCase()} cannot store transparency; the output was written as PNG instead.`;
+}
+
+// Settings echoed in logs and response metadata
+function describeOptions(o) {
+  return {
+    ratio: o.ratio.key,
+    color: o.color,
+    blur: o.color === BLUR_FILL ? o.blur : undefined,
+    background: o.background ? describeBackground(o.background) : undefined,
+    align: o.align.key,
+    margin: o.margin.key,
+    metadata: o.metadata || undefined,
+    watermark: o.watermark ? describeWatermark(o.watermark) : undefined,
+    polaroid: o.polaroid !== 'off' ? o.polaroid : undefined,
+    caption: o.polaroid !== 'off' ? o.caption : undefined,
+    frame: o.frame ? describeFrame(o.frame) : undefined,
+    trim: o.trim || undefined,
+    print: o.print ? describePrint(o.print) : undefined,
+  };
+}
+
+/**
+ * Write an output file and record it as a ProcessedFile with a download link.
+ */
+async function saveProcessedFile(req, { uploadId, traceId, outputFilename, buffer, ...fields }) {
+  const outputPath = path.join(OUTPUT_DIR, `${uploadId}_${outputFilename}`);
+  await fs.writeFile(outputPath, buffer);
+
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + DOWNLOAD_EXPIRY_HOURS);
+
+  // Generate MongoDB ObjectId first
+  const mongoose = require('mongoose');
+  const fileId = new mongoose.Types.ObjectId();
+
+  const processedFile = new ProcessedFile({
+    _id: fileId,
+    filename: `${uploadId}_${outputFilename}`,
+    filePath: outputPath,
+    fileSize: buffer.length,
+    uploadId,
+    traceId,
+    ...fields,
+    downloadUrl: `/api/process/download/${fileId}`,
+    expiresAt,
+    userIp: req.ip || req.connection.remoteAddress,
+  });
+
+  await processedFile.save();
+  return processedFile;
+}
+
+// Pack named buffers into a ZIP archive (stored as-is: images are compressed)
+function zipBuffers(entries) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { store: true });
+    const chunks = [];
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    for (const { name, buffer } of entries) {
+      archive.append(buffer, { name });
+    }
+    archive.finalize();
+  });
+}
+
 // POST /api/process - Process uploaded image
 router.post('/', async (req, res) => {
   const traceId = genTraceId();
   
   try {
-    const { uploadId, filename, ratio: ratioStr, color: colorStr } = req.body;
+    const { uploadId, filename, zip: zipStr } = req.body;
 
-    if (!uploadId || !filename) {
-      return res.status(400).json({
-        error: 'Missing required fields: uploadId, filename',
-      });
+    const upload = await resolveUpload(uploadId, filename, traceId);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
     }
+    const { inputPath } = upload;
 
-    // Security: Validate uploadId format (32 char hex)
-    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
-      log('warn', 'Invalid uploadId format in process', { uploadId, traceId });
-      return res.status(400).json({
-        error: 'Invalid uploadId format',
-      });
+    const parsed = await parseProcessOptions(req.body, traceId);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
     }
+    const opts = parsed.options;
+    const { ratio, color, background, format, keepBytes, targetBytes } = opts;
+    const wantZip = [true, 1, 'true', '1'].includes(zipStr);
+
+    log('info', 'Processing image', {
+      traceId,
+      uploadId,
+      filename,
+      format,
+      ...describeOptions(opts),
+    });
+
+    // Read file
+    const inputBuffer = await fs.readFile(inputPath);
 
-    // Security: Validate filename
-    if (filename.includes('..') || filename.includes('/') || filename.includes('\\')) {
-      log('warn', 'Path traversal attempt in filename', { filename, traceId });
+    // Detect and validate the real input format
+    const fmt = await probeInputFormat(inputBuffer);
+    if (!fmt) {
       return res.status(400).json({
-        error: 'Invalid filename',
+        error: 'Unsupported image format. This server cannot decode the uploaded file.',
       });
     }
 
-    // Security: Sanitize filename
-    const safeFilenameRegex = /^[a-zA-Z0-9_\-\.\s]+$/;
-    if (!safeFilenameRegex.test(filename)) {
-      log('warn', 'Unsafe filename pattern in process', { filename, traceId });
-      return res.status(400).json({
-        error: 'Invalid filename format',
+    // Process image: one output per ratio of a list, decoding the input once
+    const t0 = Date.now();
+    const ratios = ratio.ratios || [ratio];
+    const results = await multiRatioBuffers(inputBuffer, ratios, background || color, fmt, paddingOptions(opts));
+
+    const processingTime = Date.now() - t0;
+    const base = filename.replace(/\.[^.]+$/, '');
+    const targetSize = targetBytes || (keepBytes ? inputBuffer.length : undefined);
+
+    // Save each processed image and create its ProcessedFile document
+    const files = [];
+    for (const result of results) {
+      const {
+        buffer: outputBuffer,
+        format: outputFormat,
+        width,
+        height,
+        pages,
+        ratio: usedRatio,
+        color: borderColor,
+        quality,
+        switchedFrom,
+        trimmed,
+      } = result;
+
+      // Generate output filename
+      const ext = mapFormatToExt(outputFormat);
+      const outputFilename = `${base}_no_crop_${ratioSlug(usedRatio)}.${ext}`;
+
+      const processedFile = await saveProcessedFile(req, {
+        uploadId,
+        traceId,
+        outputFilename,
+        buffer: outputBuffer,
+        originalFilename: filename,
+        width,
+        height,
+        format: outputFormat,
+        ratio: usedRatio,
+        color: borderColor || color,
+        processingTime,
+      });
+      const expiresAt = processedFile.expiresAt;
+
+      log('info', 'Image processed', {
+        traceId,
+        uploadId,
+        fileId: processedFile._id.toString(),
+        filename: outputFilename,
+        inputSize: inputBuffer.length,
+        outputSize: outputBuffer.length,
+        width,
+        height,
+        pages,
+        format: outputFormat,
+        ratio: usedRatio,
+        requestedRatio: ratio.key,
+        color,
+        borderColor,
+        quality,
+        switchedFrom,
+        trimmed,
+        targetBytes: targetSize,
+        processingTime: `${processingTime}ms`,
+        expiresAt: expiresAt.toISOString(),
+      });
+
+      files.push({
+        notice: alphaNotice(switchedFrom),
+        fileId: processedFile._id.toString(),
+        filename: outputFilename,
+        downloadUrl: processedFile.downloadUrl,
+        expiresAt: expiresAt.toISOString(),
+        metadata: {
+          width,
+          height,
+          pages,
+          format: outputFormat,
+          inputFormat: fmt,
+          size: outputBuffer.length,
+          ...describeOptions(opts),
+          // The ratio applied; "auto" and list requests keep theirs in requestedRatio
+          ratio: usedRatio,
+          requestedRatio: ratio.auto || ratio.ratios ? ratio.key : undefined,
+          borderColor,
+          quality,
+          // Pixels removed per side by trim ({ top, right, bottom, left }), or null
+          trimmed,
+          targetBytes: targetSize,
+          processingTime,
+        },
       });
     }
 
-    // Parse ratio and color
-    const ratio = ratioStr ? parseRatio(ratioStr) : parseRatio('original');
-    const color = colorStr ? parseColor(colorStr) : parseColor('#000000');
+    // Clean up input file
+    await fs.unlink(inputPath).catch(() => {});
 
-    if (!ratio) {
-      return res.status(400).json({
-        error: 'Invalid ratio format. Use format like "4:5" or "original"',
+    if (files.length === 1) {
+      return res.json({
+        message: 'Image processed successfully',
+        traceId,
+        ...files[0],
+        expiresIn: `${DOWNLOAD_EXPIRY_HOURS} hours`,
       });
     }
 
-    if (!color) {
-      return res.status(400).json({
-        error: 'Invalid color format. Use hex color like "#000000" or "black"/"white"',
+    // Ratio lists can also get every output in one ZIP
+    let zip;
+    if (wantZip) {
+      const zipBuffer = await zipBuffers(results.map((r, i) => ({
+        name: files[i].filename,
+        buffer: r.buffer,
+      })));
+      const zipFilename = `${base}_no_crop_${ratios.length}_ratios.zip`;
+      const zipFile = await saveProcessedFile(req, {
+        uploadId,
+        traceId,
+        outputFilename: zipFilename,
+        buffer: zipBuffer,
+        originalFilename: `${base}.zip`,
+        format: 'zip',
+        ratio: ratio.key,
+        processingTime,
       });
+      zip = {
+        fileId: zipFile._id.toString(),
+        filename: zipFilename,
+        downloadUrl: zipFile.downloadUrl,
+        expiresAt: zipFile.expiresAt.toISOString(),
+        size: zipBuffer.length,
+      };
+      log('info', 'Ratio ZIP saved', { traceId, uploadId, fileId: zip.fileId, count: files.length, size: zip.size });
     }
 
-    const inputPath = path.join(TEMP_DIR, `${uploadId}_${filename}`);
-    
-    // Security: Verify path is inside TEMP_DIR
-    const resolvedPath = path.resolve(inputPath);
-    const resolvedTempDir = path.resolve(TEMP_DIR);
-    if (!resolvedPath.startsWith(resolvedTempDir)) {
-      log('error', 'Path traversal attempt in process', { uploadId, filename, traceId });
-      return res.status(403).json({
-        error: 'Access denied',
+    res.json({
+      message: `Image processed to ${files.length} ratios`,
+      traceId,
+      files,
+      zip,
+      expiresIn: `${DOWNLOAD_EXPIRY_HOURS} hours`,
+    });
+  } catch (err) {
+    log('error', 'Process error', { traceId, error: err.message, stack: err.stack });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /api/process/carousel - Split a panorama into `count` padded tiles (ZIP)
+router.post('/carousel', async (req, res) => {
+  const traceId = genTraceId();
+
+  try {
+    const { uploadId, filename, count: countStr } = req.body;
+
+    const upload = await resolveUpload(uploadId, filename, traceId);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+    const { inputPath } = upload;
+
+    const parsed = await parseProcessOptions(req.body, traceId);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+    const opts = parsed.options;
+    const { ratio, color, background } = opts;
+
+    const count = Number(countStr);
+    if (!Number.isInteger(count) || count < MIN_CAROUSEL || count > MAX_CAROUSEL) {
+      return res.status(400).json({
+        error: `Invalid count. Use an integer from ${MIN_CAROUSEL} to ${MAX_CAROUSEL}`,
       });
     }
 
-    // Check if file exists
-    try {
-      await fs.access(inputPath);
-    } catch {
-      return res.status(404).json({
-        error: 'Uploaded file not found. Please upload again.',
+    if (ratio.key === 'original' || ratio.auto || ratio.ratios) {
+      return res.status(400).json({
+        error: 'A carousel needs a tile ratio like "4:5" or a preset like "instagram-portrait"',
       });
     }
 
-    log('info', 'Processing image', {
+    log('info', 'Processing carousel', {
       traceId,
       uploadId,
       filename,
-      ratio: ratio.key,
-      color,
+      count,
+      format: opts.format,
+      ...describeOptions(opts),
     });
 
-    // Read file
     const inputBuffer = await fs.readFile(inputPath);
-
-    // Get metadata
-    const meta = await sharp(inputBuffer, { failOn: 'none' }).metadata();
-    let fmt = meta && meta.format ? meta.format.toLowerCase() : 'jpeg';
-    if (fmt === 'jpg') fmt = 'jpeg';
-
-    // Validate format
-    if (!['jpeg', 'png'].includes(fmt)) {
+    const fmt = await probeInputFormat(inputBuffer);
+    if (!fmt) {
       return res.status(400).json({
-        error: 'Unsupported image format. Only JPEG and PNG are supported.',
+        error: 'Unsupported image format. This server cannot decode the uploaded file.',
       });
     }
 
-    // Process image
     const t0 = Date.now();
     const {
-      buffer: outputBuffer,
+      tiles,
       format: outputFormat,
-      width,
-      height,
-    } = await noCropBuffer(inputBuffer, ratio, color, fmt);
+      color: borderColor,
+      switchedFrom,
+      trimmed,
+    } = await carouselBuffers(
+      inputBuffer,
+      ratio,
+      count,
+      background || color,
+      fmt,
+      paddingOptions(opts)
+    );
 
-    const processingTime = Date.now() - t0;
-
-    // Generate output filename
+    // Tiles are named in posting order
+    const base = filename.replace(/\.[^.]+$/, '');
     const ext = mapFormatToExt(outputFormat);
-    const outputFilename = filename.replace(/\.[^.]+$/, '') +
-      `_no_crop_${ratio.key.replace(':', 'x')}.${ext}`;
-    const outputPath = path.join(OUTPUT_DIR, `${uploadId}_${outputFilename}`);
+    const zip = await zipBuffers(tiles.map((t, i) => ({
+      name: `${base}_carousel_${i + 1}of${count}.${ext}`,
+      buffer: t.buffer,
+    })));
+    const processingTime = Date.now() - t0;
 
-    // Save processed image
-    await fs.writeFile(outputPath, outputBuffer);
+    const outputFilename = `${base}_no_crop_${ratioSlug(ratio.key)}_carousel.zip`;
+    const processedFile = await saveProcessedFile(req, {
+      uploadId,
+      traceId,
+      outputFilename,
+      buffer: zip,
+      originalFilename: `${base}_carousel.zip`,
+      width: tiles[0].width,
+      height: tiles[0].height,
+      format: 'zip',
+      ratio: ratio.key,
+      color: borderColor || color,
+      processingTime,
+    });
+    const expiresAt = processedFile.expiresAt;
 
-    // Clean up input file
     await fs.unlink(inputPath).catch(() => {});
 
-    // Create ProcessedFile document in MongoDB
-    const expiresAt = new Date();
-    expiresAt.setHours(expiresAt.getHours() + DOWNLOAD_EXPIRY_HOURS);
+    log('info', 'Carousel processed', {
+      traceId,
+      uploadId,
+      fileId: processedFile._id.toString(),
+      filename: outputFilename,
+      count,
+      inputSize: inputBuffer.length,
+      outputSize: zip.length,
+      width: tiles[0].width,
+      height: tiles[0].height,
+      format: outputFormat,
+      switchedFrom,
+      processingTime: `${processingTime}ms`,
+    });
 
-    // Generate MongoDB ObjectId first
-    const mongoose = require('mongoose');
-    const fileId = new mongoose.Types.ObjectId();
+    res.json({
+      message: 'Carousel processed successfully',
+      notice: alphaNotice(switchedFrom),
+      traceId,
+      fileId: processedFile._id.toString(),
+      filename: outputFilename,
+      downloadUrl: processedFile.downloadUrl,
+      expiresAt: expiresAt.toISOString(),
+      expiresIn: `${DOWNLOAD_EXPIRY_HOURS} hours`,
+      metadata: {
+        count,
+        width: tiles[0].width,
+        height: tiles[0].height,
+        format: outputFormat,
+        inputFormat: fmt,
+        size: zip.length,
+        tiles: tiles.map((t) => ({ width: t.width, height: t.height, size: t.buffer.length })),
+        ...describeOptions(opts),
+        borderColor,
+        trimmed,
+        processingTime,
+      },
+    });
+  } catch (err) {
+    log('error', 'Carousel error', { traceId, error: err.message, stack: err.stack });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const processedFile = new ProcessedFile({
-      _id: fileId,
-      filename: `${uploadId}_${outputFilename}`,
-      originalFilename: filename,
-      filePath: outputPath,
-      fileSize: outputBuffer.length,
+// POST /api/process/compare - Before/after image of the original and its padded version
+router.post('/compare', async (req, res) => {
+  const traceId = genTraceId();
+
+  try {
+    const { uploadId, filename, mode: modeStr, labels: labelsInput } = req.body;
+
+    const upload = await resolveUpload(uploadId, filename, traceId);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+    const { inputPath } = upload;
+
+    const parsed = await parseProcessOptions(req.body, traceId);
+    if (parsed.error) {
+      return res.status(parsed.status).json({ error: parsed.error });
+    }
+    const opts = parsed.options;
+    const { ratio, color, background } = opts;
+
+    const mode = parseCompareMode(modeStr);
+    if (!mode) {
+      return res.status(400).json({
+        error: `Invalid mode. Use one of: ${COMPARE_MODES.join(', ')}`,
+      });
+    }
+
+    const labels = normalizeLabels(labelsInput);
+    if (!labels) {
+      return res.status(400).json({
+        error: `Invalid labels. Use { before, after } or ["before", "after"], strings of up to ${MAX_LABEL_LENGTH} characters ("" hides one)`,
+      });
+    }
+
+    if (ratio.ratios) {
+      return res.status(400).json({
+        error: 'A comparison takes a single ratio, not a list',
+      });
+    }
+
+    log('info', 'Processing comparison', {
+      traceId,
+      uploadId,
+      filename,
+      mode,
+      format: opts.format,
+      ...describeOptions(opts),
+    });
+
+    const inputBuffer = await fs.readFile(inputPath);
+    const fmt = await probeInputFormat(inputBuffer);
+    if (!fmt) {
+      return res.status(400).json({
+        error: 'Unsupported image format. This server cannot decode the uploaded file.',
+      });
+    }
+
+    const t0 = Date.now();
+    const padded = await noCropBuffer(inputBuffer, ratio, background || color, fmt, paddingOptions(opts));
+    const { buffer: outputBuffer, format: outputFormat, width, height } = await compareBuffer(
+      inputBuffer,
+      padded.buffer,
+      { mode, labels }
+    );
+    const processingTime = Date.now() - t0;
+
+    const base = filename.replace(/\.[^.]+$/, '');
+    const outputFilename = `${base}_compare_${ratioSlug(padded.ratio)}.jpg`;
+    const processedFile = await saveProcessedFile(req, {
       uploadId,
       traceId,
+      outputFilename,
+      buffer: outputBuffer,
+      originalFilename: filename,
       width,
       height,
       format: outputFormat,
-      ratio: ratio.key,
-      color,
+      ratio: padded.ratio,
+      color: padded.color || color,
       processingTime,
-      downloadUrl: `/api/process/download/${fileId}`,
-      expiresAt,
-      userIp: req.ip || req.connection.remoteAddress,
     });
+    const expiresAt = processedFile.expiresAt;
 
-    await processedFile.save();
+    await fs.unlink(inputPath).catch(() => {});
 
-    log('info', 'Image processed', {
+    log('info', 'Comparison processed', {
       traceId,
       uploadId,
       fileId: processedFile._id.toString(),
       filename: outputFilename,
+      mode,
       inputSize: inputBuffer.length,
       outputSize: outputBuffer.length,
       width,
       height,
-      format: outputFormat,
-      ratio: ratio.key,
-      color,
+      ratio: padded.ratio,
       processingTime: `${processingTime}ms`,
-      expiresAt: expiresAt.toISOString(),
     });
 
     res.json({
-      message: 'Image processed successfully',
+      message: 'Comparison created successfully',
       traceId,
       fileId: processedFile._id.toString(),
       filename: outputFilename,
@@ -192,17 +900,26 @@ router.post('/', async (req, res) => {
       expiresAt: expiresAt.toISOString(),
       expiresIn: `${DOWNLOAD_EXPIRY_HOURS} hours`,
       metadata: {
+        mode,
+        labels,
         width,
         height,
         format: outputFormat,
+        inputFormat: fmt,
         size: outputBuffer.length,
-        ratio: ratio.key,
-        color,
+        ...describeOptions(opts),
+        // The ratio applied; "auto" requests keep theirs in requestedRatio
+        ratio: padded.ratio,
+        requestedRatio: ratio.auto ? ratio.key : undefined,
+        // Size of the padded image the comparison was made from
+        padded: { width: padded.width, height: padded.height, format: padded.format },
+        borderColor: padded.color,
+        trimmed: padded.trimmed,
         processingTime,
       },
     });
   } catch (err) {
-    log('error', 'Process error', { traceId, error: err.message, stack: err.stack });
+    log('error', 'Compare error', { traceId, error: err.message, stack: err.stack });
     res.status(500).json({ error: err.message });
   }
 });
@@ -264,10 +981,13 @@ router.get('/download/:fileId', async (req, res) => {
     // Increment download count
     await processedFile.incrementDownload();
 
-    // Set headers (sanitize filename in header)
-    const sanitizedFilename = path.basename(processedFile.originalFilename)
-      .replace(/\.[^.]+$/, '') + 
-      `_no_crop_${processedFile.ratio.replace(':', 'x')}.${processedFile.format === 'jpeg' ? 'jpg' : processedFile.format}`;
+    // Set headers: the name the output was saved under (ZIP, comparison and
+    // layout outputs included), minus the upload id, sanitized for the header
+    const prefix = `${processedFile.uploadId}_`;
+    const savedName = processedFile.filename.startsWith(prefix)
+      ? processedFile.filename.slice(prefix.length)
+      : processedFile.filename;
+    const sanitizedFilename = path.basename(savedName).replace(/[^\w.-]/g, '_');
     
     res.setHeader('Content-Type', 'application/octet-stream');
     res.setHeader('Content-Disposition', `attachment; filename="${sanitizedFilename}"`);
@@ -5,6 +5,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { log } = require('../../logger');
+const { INPUT_EXTENSIONS } = require('../../image');
 
 // Chunk upload directory
 const UPLOAD_DIR = path.join(__dirname, '../../..', 'uploads');
@@ -71,9 +72,9 @@ router.post('/init', async (req, res) => {
 
     // Validate file type
     const ext = path.extname(filename).toLowerCase();
-    if (!['.jpg', '.jpeg', '.png'].includes(ext)) {
+    if (!INPUT_EXTENSIONS.includes(ext)) {
       return res.status(400).json({
-        error: 'Only JPEG and PNG images are supported',
+        error: `Unsupported file type. Allowed: ${INPUT_EXTENSIONS.join(', ')}`,
       });
     }
 
@@ -0,0 +1,16 @@
+const { parentPort } = require("worker_threads");
+const { TASKS, reviveBuffers } = require("./pool");
+
+// Worker thread of the sharp pool (pool.js): runs one task at a time and
+// posts back { id, result } or { id, error }.
+parentPort.on("message", async ({ id, name, args }) => {
+  try {
+    const result = await TASKS[name](...reviveBuffers(args));
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({
+      id,
+      error: { message: err.message, stack: err.stack },
+    });
+  }
+});
@@ -0,0 +1,12 @@
+// Escape text for SVG and for Pango markup (sharp's text input), which use
+// the same XML entities
+function escapeXml(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+module.exports = { escapeXml };